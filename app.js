@@ -7,6 +7,27 @@
  * 3. [Feat] 保留街机 ROM 自动合并逻辑
  * 4. [Feat] 接口 /api/systems 支持合并显示本地存在但尚未扫描入库的空主机目录
  * 5. [Feat] 详情页接口增加动态获取物理文件大小功能，并支持递归计算文件夹大小
+ * 6. [Feat] 新增云存档接口 /api/saves，即时存档与 SRAM 存放在服务器，跨设备同步
+ * 7. [Feat] 新增用户体系：登录会话、admin/player 角色，同步类接口仅管理员可调用，存档按用户隔离
+ * 8. [Feat] 新增收藏夹接口 /api/collections，支持跨主机的自定义合集与“我的收藏”
+ * 9. [Feat] 新增游玩记录接口 /api/play-sessions，统计最近游玩、累计时长与启动次数
+ * 10.[Feat] /api/scan/:system 支持 dryRun 预演，返回新增/删除/重刮与待清理媒体的完整计划
+ * 11.[Feat] 新增媒体回收站接口 /api/media-trash，可查看并恢复被清理的冗余资源 (恢复后重新关联到游戏)，预览走 /api/media-trash/file
+ * 12.[Feat] 同步任务持久化，启动时自动续跑未完成任务，新增任务历史接口 /api/sync-jobs
+ * 13.[Feat] 新增 SSE 推送接口 /api/events，实时下发结构化的同步日志、进度与任务事件
+ * 14.[Feat] /api/status/global 增加抓取配额计数与暂停状态 (scraper / queuePausedUntil)
+ * 15.[Feat] 新增元数据导出接口 /api/export，按主机生成 gamelist.xml 与 Pegasus metadata.pegasus.txt
+ * 16.[Feat] 新增 DAT 校验接口 /api/verify 与审计报告 /api/audit (No-Intro / Redump / MAME)
+ * 17.[Feat] 多光盘游戏按套计数 (/api/systems 按 disc_set 去重)，新增 /api/disc-sets/:id/playlist.m3u 与整套游玩接口 /api/play-set
+ * 18.[Feat] 游戏列表返回所在分类子目录 folders (JSON 数组)，/api/games 支持 folder 参数按子目录筛选
+ * 19.[Feat] /api/systems 的游戏数在 SQL 中按主机聚合 (GROUP BY system)，入库时已按 systems.json 的 extensions / companions 规则过滤
+ * 20.[Feat] 可选的 ROM 目录监听 (config.romWatcher)，新增 / 删除的文件自动逐个入库或移除
+ * 21.[Feat] 新增定时同步接口 /api/schedules (cron 表达式)，由进程内调度器按时加入同步队列
+ * 22.[Feat] 新增元数据编辑接口 PATCH /api/games/:id 与 PATCH /api/game-versions，修改的字段自动锁定，重新同步不覆盖
+ * 23.[Feat] 新增候选匹配接口 /api/scraper/candidates 与绑定接口 /api/scraper/bind，手动指定 ROM 对应的 ScreenScraper 游戏
+ * 24.[Feat] 版本列表返回 ScreenScraper 游戏 id 与固定状态 (pinned_game_id)，新增固定 / 取消固定接口 /api/scraper/pin
+ * 25.[Feat] 新增待处理报告接口 /api/attention (未匹配 / 出错 / 缺媒体 / 占位简介) 与批量重试 /api/attention/retry
+ * 26.[Feat] /api/games 关键字改用 FTS5 全文检索 (名称 / 简介 / 开发商 / 发行商 / 类型)，新增年份 / 人数 / 评分 / 类型 / 有无视频封面筛选，不传 system 时跨主机搜索
  */
 const Koa = require('koa');
 const Router = require('koa-router');
@@ -14,10 +35,25 @@ const serve = require('koa-static');
 const range = require('koa-range');
 const { koaBody } = require('koa-body');
 const path = require('path');
+const { PassThrough } = require('stream');
 const fs = require('fs-extra');
 const config = require('./config');
 const db = require('./db/database');
 const scanner = require('./scripts/scanner');
+const watcher = require('./scripts/watcher');
+const scheduler = require('./scripts/scheduler');
+const auth = require('./utils/auth');
+const mediaTrash = require('./utils/mediaTrash');
+const jobStore = require('./utils/jobStore');
+const exporter = require('./utils/exporter');
+const datVerifier = require('./utils/datVerifier');
+const discSets = require('./utils/discSets');
+const romDiscovery = require('./utils/romDiscovery');
+const gameMetadata = require('./utils/gameMetadata');
+const scraper = require('./utils/scraper');
+const scraperBindings = require('./utils/scraperBindings');
+const attentionReport = require('./utils/attentionReport');
+const gameSearch = require('./utils/gameSearch');
 const AdmZip = require('adm-zip');
 
 // === 新增：递归计算文件夹真实大小的辅助函数 ===
@@ -40,6 +76,55 @@ function getFolderSize (dirPath) {
     return totalSize;
 }
 
+// === 存档相关 ===
+const SAVES_DIR = config.savesDir || path.join(__dirname, 'saves');
+const SAVE_TYPES = { state: '.state', sram: '.srm' };
+const MAX_SAVE_SIZE = 64 * 1024 * 1024;
+
+function getGameById (id) {
+    return new Promise((resolve) => {
+        db.get('SELECT * FROM games WHERE id = ?', [id], (err, row) => {
+            if (err) console.error(err);
+            resolve(row || null);
+        });
+    });
+}
+
+// 将请求体原样写入临时文件，完成后再重命名，避免上传中断留下半截存档
+function writeRequestToFile (req, savePath) {
+    const tmpPath = savePath + '.tmp';
+    fs.ensureDirSync(path.dirname(savePath));
+
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        let failed = false;
+        const writer = fs.createWriteStream(tmpPath);
+        const fail = (err) => {
+            if (failed) return;
+            failed = true;
+            writer.destroy();
+            fs.unlink(tmpPath, () => {});
+            reject(err);
+        };
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_SAVE_SIZE && !failed) {
+                req.unpipe(writer);
+                fail(new Error('Save file too large'));
+            }
+        });
+        req.on('error', fail);
+        writer.on('error', fail);
+        writer.on('finish', () => {
+            if (failed) return;
+            fs.renameSync(tmpPath, savePath);
+            resolve(size);
+        });
+        req.pipe(writer);
+    });
+}
+
 // === 1. 全局加载 systems.json ===
 let systemsConfig = {};
 try {
@@ -60,6 +145,26 @@ const ARCADE_CORES = [
     'finalburn_neo'
 ];
 
+// === 3. 游戏列表的聚合字段 (同名多版本合并为一个游戏) ===
+const GAME_LIST_FIELDS = `
+        name, 
+        GROUP_CONCAT(filename) as filename,
+        MAX(image_path) as image_path, 
+        MAX(video_path) as video_path,
+        MAX(marquee_path) as marquee_path,
+        MAX(box_texture_path) as box_texture_path,
+        MAX(screenshot_path) as screenshot_path,
+        MAX(releasedate) as releasedate, 
+        MAX(developer) as developer, 
+        MAX(publisher) as publisher, 
+        MAX(genre) as genre, 
+        MAX(players) as players, 
+        MAX(rating) as rating, 
+        MAX(desc) as desc,
+        COUNT(DISTINCT COALESCE(disc_set, filename)) as version_count,
+        json_group_array(DISTINCT COALESCE(folder, '')) as folders
+    `;
+
 const app = new Koa();
 const router = new Router();
 
@@ -75,30 +180,183 @@ app.use(
     })
 );
 app.use(serve(path.join(__dirname, 'public')));
+app.use(auth.sessionMiddleware);
+
+// ================= 用户与登录 =================
+
+// 返回当前登录用户；needsSetup 表示系统内还没有任何账号，前端应引导创建管理员
+router.get('/api/auth/me', async (ctx) => {
+    const count = await auth.countUsers();
+    ctx.body = { user: ctx.state.user || null, needsSetup: count === 0 };
+});
+
+// 首次启动：仅在没有任何用户时允许创建管理员
+router.post('/api/auth/setup', async (ctx) => {
+    const { username, password } = ctx.request.body || {};
+    if (!username || !password) {
+        ctx.status = 400;
+        ctx.body = { error: 'Missing username or password' };
+        return;
+    }
+    if ((await auth.countUsers()) > 0) {
+        ctx.status = 403;
+        ctx.body = { error: 'Setup already completed' };
+        return;
+    }
+    const user = await auth.createUser(username, password, 'admin');
+    await auth.createSession(ctx, user.id);
+    console.log(`[Auth] 初始化管理员账号: ${username}`);
+    ctx.body = { user };
+});
+
+router.post('/api/auth/login', async (ctx) => {
+    const { username, password } = ctx.request.body || {};
+    const user = username ? await auth.findUserByName(username) : null;
+    if (!user || !(await auth.verifyPassword(password || '', user.password_hash))) {
+        ctx.status = 401;
+        ctx.body = { error: 'Invalid username or password' };
+        return;
+    }
+    await auth.createSession(ctx, user.id);
+    auth.purgeExpiredSessions();
+    ctx.body = { user: { id: user.id, username: user.username, role: user.role } };
+});
+
+router.post('/api/auth/logout', async (ctx) => {
+    await auth.destroySession(ctx);
+    ctx.body = { status: 'ok' };
+});
+
+router.get('/api/users', auth.requireAdmin, async (ctx) => {
+    return new Promise((resolve) => {
+        db.all('SELECT id, username, role, created_at FROM users ORDER BY id ASC', (err, rows) => {
+            if (err) {
+                ctx.status = 500;
+                ctx.body = { error: err.message };
+            } else ctx.body = rows;
+            resolve();
+        });
+    });
+});
+
+router.post('/api/users', auth.requireAdmin, async (ctx) => {
+    const { username, password, role = 'player' } = ctx.request.body || {};
+    if (!username || !password || !auth.ROLES.includes(role)) {
+        ctx.status = 400;
+        ctx.body = { error: 'Missing username/password or invalid role' };
+        return;
+    }
+    try {
+        ctx.body = await auth.createUser(username, password, role);
+    } catch (e) {
+        ctx.status = 409;
+        ctx.body = { error: e.message };
+    }
+});
+
+router.delete('/api/users/:id', auth.requireAdmin, async (ctx) => {
+    const id = Number(ctx.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+        ctx.status = 400;
+        ctx.body = { error: 'Invalid user id' };
+        return;
+    }
+    if (id === ctx.state.user.id) {
+        ctx.status = 400;
+        ctx.body = { error: 'Cannot delete yourself' };
+        return;
+    }
+    return new Promise((resolve) => {
+        db.serialize(() => {
+            db.run('DELETE FROM sessions WHERE user_id = ?', [id]);
+            db.run('DELETE FROM saves WHERE user_id = ?', [id]);
+            db.run('DELETE FROM collection_items WHERE collection_id IN (SELECT id FROM collections WHERE user_id = ?)', [id]);
+            db.run('DELETE FROM collections WHERE user_id = ?', [id]);
+            db.run('DELETE FROM play_sessions WHERE user_id = ?', [id]);
+            db.run('DELETE FROM play_stats WHERE user_id = ?', [id]);
+            db.run('DELETE FROM users WHERE id = ?', [id], (err) => {
+                if (err) {
+                    ctx.status = 500;
+                    ctx.body = { error: err.message };
+                    return resolve();
+                }
+                // 存档文件按用户 id 分目录存放，一并删除，避免之后复用该 id 的新用户看到旧存档
+                try {
+                    fs.removeSync(path.join(SAVES_DIR, String(id)));
+                } catch (e) {
+                    console.error(`[Users] 删除用户 ${id} 的存档目录失败:`, e.message);
+                }
+                ctx.body = { status: 'ok' };
+                resolve();
+            });
+        });
+    });
+});
 
 // ================= API =================
 
 router.get('/api/status/global', async (ctx) => {
-    const status = scanner.getGlobalStatus();
-    ctx.body = {
-        runningSystem: status.runningSystem,
-        pendingQueue: status.pendingQueue.map((t) => t.system),
-        logs: status.logs,
-        progress: status.progress,
-        isSyncing: !!status.runningSystem
+    ctx.body = { ...scanner.getStatusSnapshot(), logs: scanner.getGlobalStatus().logs };
+});
+
+// SSE：连接时先下发一次快照 (当前状态 + 最近日志)，之后实时推送 scanner 的结构化事件
+const SSE_HEARTBEAT_MS = 25000;
+
+router.get('/api/events', async (ctx) => {
+    ctx.req.socket.setTimeout(0);
+    ctx.req.socket.setNoDelay(true);
+    ctx.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    ctx.status = 200;
+
+    const stream = new PassThrough();
+    ctx.body = stream;
+
+    const send = (event) => stream.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    send({
+        type: 'snapshot',
+        timestamp: Date.now(),
+        status: scanner.getStatusSnapshot(),
+        events: scanner.getGlobalStatus().events
+    });
+
+    scanner.syncEvents.on('event', send);
+    const heartbeat = setInterval(() => stream.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        scanner.syncEvents.off('event', send);
+        stream.end();
     };
+    ctx.req.on('close', cleanup);
 });
 
-router.post('/api/scan/:system', async (ctx) => {
+router.post('/api/scan/:system', auth.requireAdmin, async (ctx) => {
     const system = ctx.params.system;
-    const options = ctx.request.body || {};
+    const { dryRun, ...options } = ctx.request.body || {};
+
+    // 预演模式：只返回同步计划，不改动数据库与磁盘
+    if (dryRun || ctx.query.dryRun === '1') {
+        try {
+            ctx.body = { status: 'preview', plan: await scanner.previewSystemSync(system, options) };
+        } catch (e) {
+            ctx.status = 400;
+            ctx.body = { error: e.message };
+        }
+        return;
+    }
+
     const result = await scanner.addToSyncQueue(system, options);
     ctx.body = result.success
-        ? { status: 'queued', message: 'Request accepted' }
+        ? { status: 'queued', message: 'Request accepted', jobId: result.jobId }
         : { status: 'ignored', message: result.message };
 });
 
-router.post('/api/scan-single', async (ctx) => {
+router.post('/api/scan-single', auth.requireAdmin, async (ctx) => {
     const { system, filename, options } = ctx.request.body;
     if (!system || !filename) {
         ctx.status = 400;
@@ -109,12 +367,14 @@ router.post('/api/scan-single', async (ctx) => {
         await scanner.syncSingleGame(system, filename, options);
         ctx.body = { status: 'ok' };
     } catch (e) {
-        ctx.status = 500;
-        ctx.body = { error: e.message };
+        // 额度用尽返回 429，并告知何时恢复
+        const isQuota = e.name === 'ScraperQuotaError';
+        ctx.status = isQuota ? 429 : 500;
+        ctx.body = isQuota ? { error: e.message, resumeAt: e.resumeAt } : { error: e.message };
     }
 });
 
-router.post('/api/stop-scan', async (ctx) => {
+router.post('/api/stop-scan', auth.requireAdmin, async (ctx) => {
     scanner.stopSync();
     ctx.body = { status: 'stopped', message: 'Stopping all tasks...' };
 });
@@ -129,35 +389,10 @@ router.get('/api/systems', async (ctx) => {
     try {
         if (fs.existsSync(config.romsDir)) {
             const dirs = await fs.readdir(config.romsDir);
-            const IGNORE_DIRS = [
-                'media',
-                'images',
-                'covers',
-                'screenshots',
-                'titles',
-                'wheel',
-                'marquees',
-                'boxart',
-                'boxtextures',
-                'marquee',
-                'video',
-                'videos',
-                'bios',
-                'cheats',
-                'saves',
-                'states',
-                'downloaded_images',
-                'manuals',
-                'system',
-                'tmp',
-                'temp',
-                'logs'
-            ];
-
             for (const d of dirs) {
                 const fullPath = path.join(config.romsDir, d);
                 const stat = await fs.stat(fullPath);
-                if (stat.isDirectory() && !d.startsWith('.') && !IGNORE_DIRS.includes(d.toLowerCase())) {
+                if (stat.isDirectory() && !d.startsWith('.') && !romDiscovery.IGNORE_DIRS.includes(d.toLowerCase())) {
                     localDirs.push(d);
                 }
             }
@@ -167,7 +402,9 @@ router.get('/api/systems', async (ctx) => {
     }
 
     return new Promise((resolve, reject) => {
-        const sql = 'SELECT system, COUNT(*) as count FROM games GROUP BY system';
+        // 计数在 SQL 中按主机聚合，不把整张 games 表读进内存；规则调整后的旧记录在下次同步时删除
+        // 多光盘游戏按套计数：同一 disc_set 的各张光盘只算一个
+        const sql = 'SELECT system, COUNT(DISTINCT COALESCE(disc_set, filename)) AS count FROM games GROUP BY system';
         db.all(sql, (err, rows) => {
             if (err) {
                 ctx.status = 500;
@@ -234,40 +471,40 @@ router.get('/api/systems', async (ctx) => {
 });
 
 router.get('/api/games', async (ctx) => {
-    const { system, page = 1, pageSize = 24, keyword = '', all = 0 } = ctx.query;
-    const params = [];
-    let where = 'WHERE 1=1';
+    const { system, page = 1, pageSize = 24, folder, all = 0 } = ctx.query;
+    let filters;
+    try {
+        filters = await gameSearch.buildGameFilters(ctx.query);
+    } catch (e) {
+        ctx.status = 400;
+        ctx.body = { error: e.message };
+        return;
+    }
+    const params = [...filters.params];
+    let where = `WHERE ${['1=1', ...filters.conditions].join(' AND ')}`;
 
     if (system) {
         where += ' AND system = ?';
         params.push(system);
     }
-    if (keyword) {
-        where += ' AND (name LIKE ? OR filename LIKE ?)';
-        params.push(`%${keyword}%`, `%${keyword}%`);
+    // 分类子目录筛选，包含其下更深的子目录；传空字符串表示只看主机根目录
+    if (folder !== undefined) {
+        if (folder) {
+            where += " AND (folder = ? OR folder LIKE ? ESCAPE '\\')";
+            params.push(folder, `${folder.replace(/[\\%_]/g, '\\$&')}/%`);
+        } else {
+            where += " AND COALESCE(folder, '') = ''";
+        }
     }
 
-    const fields = `
-        name, 
-        GROUP_CONCAT(filename) as filename,
-        MAX(image_path) as image_path, 
-        MAX(video_path) as video_path,
-        MAX(marquee_path) as marquee_path,
-        MAX(box_texture_path) as box_texture_path,
-        MAX(screenshot_path) as screenshot_path,
-        MAX(releasedate) as releasedate, 
-        MAX(developer) as developer, 
-        MAX(publisher) as publisher, 
-        MAX(genre) as genre, 
-        MAX(players) as players, 
-        MAX(rating) as rating, 
-        MAX(desc) as desc,
-        COUNT(*) as version_count
-    `;
+    // 未指定主机时为跨主机搜索：按 主机 + 名称 合并，每条结果带上所属主机 system
+    const fields = system ? GAME_LIST_FIELDS : `system, ${GAME_LIST_FIELDS}`;
+    const groupBy = system ? 'name' : 'system, name';
+    const countExpr = system ? 'DISTINCT name' : "DISTINCT system || '/' || name";
 
     return new Promise((resolve) => {
         if (Number(all) === 1) {
-            const sql = `SELECT ${fields} FROM games ${where} GROUP BY name ORDER BY name COLLATE NOCASE ASC`;
+            const sql = `SELECT ${fields} FROM games ${where} GROUP BY ${groupBy} ORDER BY name COLLATE NOCASE ASC`;
             db.all(sql, params, (err, rows) => {
                 if (err) ctx.status = 500;
                 else ctx.body = { data: rows };
@@ -277,14 +514,14 @@ router.get('/api/games', async (ctx) => {
             const limit = parseInt(pageSize);
             const offset = (parseInt(page) - 1) * limit;
 
-            db.get(`SELECT count(DISTINCT name) as total FROM games ${where}`, params, (err, row) => {
+            db.get(`SELECT count(${countExpr}) as total FROM games ${where}`, params, (err, row) => {
                 if (err) {
                     ctx.status = 500;
                     return resolve();
                 }
                 const total = row.total;
 
-                const sql = `SELECT ${fields} FROM games ${where} GROUP BY name ORDER BY name COLLATE NOCASE ASC LIMIT ? OFFSET ?`;
+                const sql = `SELECT ${fields} FROM games ${where} GROUP BY ${groupBy} ORDER BY name COLLATE NOCASE ASC LIMIT ? OFFSET ?`;
                 db.all(sql, [...params, limit, offset], (err, rows) => {
                     if (err) ctx.status = 500;
                     else ctx.body = { total, page: parseInt(page), pageSize: limit, data: rows };
@@ -302,10 +539,14 @@ router.get('/api/game-versions', async (ctx) => {
         return;
     }
 
+    // 顺带带出当前用户在每个版本上的游玩统计
     return new Promise((resolve) => {
         db.all(
-            'SELECT * FROM games WHERE system = ? AND name = ? ORDER BY filename ASC',
-            [system, name],
+            `SELECT g.*, ps.last_played, ps.total_seconds, ps.launch_count, sb.game_id AS pinned_game_id FROM games g
+             LEFT JOIN play_stats ps ON ps.game_path = g.path AND ps.user_id = ?
+             LEFT JOIN scraper_bindings sb ON sb.system = g.system AND sb.filename = g.filename
+             WHERE g.system = ? AND g.name = ? ORDER BY g.filename ASC`,
+            [ctx.state.user.id, system, name],
             (err, rows) => {
                 if (err) {
                     ctx.status = 500;
@@ -358,6 +599,234 @@ router.get('/api/game-versions', async (ctx) => {
     });
 });
 
+// === 元数据手动编辑 ===
+// 逐条写入修改与锁定字段，校验失败时抛错 (不写入任何记录)；返回每条记录规范化后的修改
+// rows 需包含 id / system / name / locked_fields。改名时收藏夹条目 (按 主机 + 游戏名 记录) 在同一事务中跟随改名，
+// 同名的其他版本仍在时保留旧名条目，两个名称都留在收藏夹中
+// 事务与全部语句在同一个 db.serialize 中同步排队，中间不 await：共用连接上扫描器等其他写入只能排在 COMMIT 之后，
+// 不会混进这次编辑的事务，也不会遇到“事务中再开事务”
+function updateGameMetadata (rows, body) {
+    const updates = rows.map((row) => ({
+        id: row.id,
+        ...gameMetadata.normalizeEdit(body, gameMetadata.parseLockedFields(row.locked_fields))
+    }));
+
+    const renames = new Map(); // "system\nold" -> { system, oldName, newName }
+    rows.forEach((row, i) => {
+        const newName = updates[i].fields.name;
+        if (newName && newName !== row.name) {
+            renames.set(`${row.system}\n${row.name}`, { system: row.system, oldName: row.name, newName });
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        let failed = null;
+        const track = (err) => {
+            if (err && !failed) failed = err;
+        };
+        db.serialize(() => {
+            db.run('BEGIN TRANSACTION', track);
+            for (const { id, fields, lockedFields } of updates) {
+                const cols = Object.keys(fields);
+                db.run(
+                    `UPDATE games SET ${cols.map((c) => `${c} = ?, `).join('')}locked_fields = ? WHERE id = ?`,
+                    [...cols.map((c) => fields[c]), JSON.stringify(lockedFields), id],
+                    track
+                );
+            }
+            for (const { system, oldName, newName } of renames.values()) {
+                db.run(
+                    `INSERT OR IGNORE INTO collection_items (collection_id, system, game_name, added_at)
+                     SELECT collection_id, system, ?, added_at FROM collection_items WHERE system = ? AND game_name = ?`,
+                    [newName, system, oldName],
+                    track
+                );
+                db.run(
+                    `DELETE FROM collection_items WHERE system = ? AND game_name = ?
+                     AND NOT EXISTS (SELECT 1 FROM games WHERE system = ? AND name = ?)`,
+                    [system, oldName, system, oldName],
+                    track
+                );
+            }
+            db.run('COMMIT', (err) => {
+                track(err);
+                if (failed) {
+                    console.error('[API] 保存元数据失败:', failed.message);
+                    // COMMIT 失败时事务仍未结束，回滚后再返回
+                    if (err) db.run('ROLLBACK', () => reject(failed));
+                    else reject(failed);
+                    return;
+                }
+                resolve(updates);
+            });
+        });
+    });
+}
+
+// 编辑单个版本；body: { fields: { name, desc, ... }, locked_fields: [...] }
+router.patch('/api/games/:id', auth.requireAdmin, async (ctx) => {
+    const game = await getGameById(ctx.params.id);
+    if (!game) {
+        ctx.status = 404;
+        ctx.body = { error: 'Game not found' };
+        return;
+    }
+    try {
+        await updateGameMetadata([game], ctx.request.body || {});
+        ctx.body = { status: 'ok', game: await getGameById(game.id) };
+    } catch (e) {
+        ctx.status = 400;
+        ctx.body = { error: e.message };
+    }
+});
+
+// 编辑同名的全部版本 (与 GET /api/game-versions 对应)；body: { system, name, fields, locked_fields }
+router.patch('/api/game-versions', auth.requireAdmin, async (ctx) => {
+    const body = ctx.request.body || {};
+    if (!body.system || !body.name) {
+        ctx.status = 400;
+        ctx.body = { error: 'Missing system or name' };
+        return;
+    }
+    const rows = await new Promise((resolve) => {
+        db.all('SELECT id, system, name, locked_fields FROM games WHERE system = ? AND name = ?', [body.system, body.name], (err, rows) => {
+            if (err) console.error('[API] 查询游戏版本失败:', err.message);
+            resolve(rows || []);
+        });
+    });
+    if (!rows.length) {
+        ctx.status = 404;
+        ctx.body = { error: 'Game not found' };
+        return;
+    }
+    try {
+        const updates = await updateGameMetadata(rows, body);
+        ctx.body = { status: 'ok', updated: rows.length, name: updates[0].fields.name || body.name };
+    } catch (e) {
+        ctx.status = 400;
+        ctx.body = { error: e.message };
+    }
+});
+
+// === 手动选择匹配 (ScreenScraper) ===
+// 绑定后默认重新抓取资料与主要媒体，并覆盖之前错误匹配下载的图片
+const BIND_SYNC_OPTIONS = { syncInfo: true, syncImages: true, syncMarquees: true, overwrite: true };
+
+function getGameByFile (system, filename) {
+    return new Promise((resolve) => {
+        db.get('SELECT * FROM games WHERE system = ? AND filename = ?', [system, filename], (err, row) => {
+            if (err) console.error(err);
+            resolve(row || null);
+        });
+    });
+}
+
+function sendScraperError (ctx, e, status = 502) {
+    const isQuota = e.name === 'ScraperQuotaError';
+    ctx.status = isQuota ? 429 : status;
+    ctx.body = isQuota ? { error: e.message, resumeAt: e.resumeAt } : { error: e.message };
+}
+
+// 列出候选游戏；q 默认为清洗后的 ROM 名，all=1 时不限主机
+router.get('/api/scraper/candidates', auth.requireAdmin, async (ctx) => {
+    const { system, filename, q, all } = ctx.query;
+    if (!system || !filename) {
+        ctx.status = 400;
+        ctx.body = { error: 'Missing system or filename' };
+        return;
+    }
+    if (!scraper.isConfigured()) {
+        ctx.status = 400;
+        ctx.body = { error: 'ScreenScraper is not configured' };
+        return;
+    }
+
+    const sysInfo = scanner.loadSystemConfig()[system.toLowerCase()] || {};
+    const systemId = all === '1' ? null : sysInfo.scraper_id || null;
+    const query = String(q || '').trim() || scraper.cleanRomName(filename);
+    try {
+        const candidates = await scraper.searchCandidates(systemId, query);
+        const binding = await scraperBindings.getBinding(system, filename);
+        ctx.body = { query, systemId, binding, candidates };
+    } catch (e) {
+        sendScraperError(ctx, e);
+    }
+});
+
+router.get('/api/scraper/thumb/:gameId', auth.requireAdmin, async (ctx) => {
+    try {
+        const res = await scraper.fetchCandidateThumbnail(ctx.params.gameId);
+        if (!res) {
+            ctx.status = 404;
+            return;
+        }
+        ctx.type = res.headers['content-type'] || 'image/png';
+        ctx.set('Cache-Control', 'private, max-age=86400');
+        ctx.body = res.data;
+    } catch (e) {
+        ctx.status = 502;
+    }
+});
+
+// 绑定并立即重新抓取；body: { system, filename, gameId, gameName, options }
+router.post('/api/scraper/bind', auth.requireAdmin, async (ctx) => {
+    const { system, filename, gameId, gameName, options } = ctx.request.body || {};
+    if (!system || !filename || !/^\d+$/.test(String(gameId || ''))) {
+        ctx.status = 400;
+        ctx.body = { error: 'Missing system, filename or gameId' };
+        return;
+    }
+    if (!(await getGameByFile(system, filename))) {
+        ctx.status = 404;
+        ctx.body = { error: 'Game not found' };
+        return;
+    }
+
+    await scraperBindings.setBinding(system, filename, gameId, gameName || null);
+    try {
+        await scanner.syncSingleGame(system, filename, { ...BIND_SYNC_OPTIONS, ...(options || {}) });
+        ctx.body = { status: 'ok', game: await getGameByFile(system, filename) };
+    } catch (e) {
+        // 绑定已保存，额度恢复后的下次同步仍会按 id 抓取
+        sendScraperError(ctx, e, 500);
+    }
+});
+
+// 固定当前记录的 ScreenScraper 游戏 id (不重新抓取)；body: { system, filename }
+router.post('/api/scraper/pin', auth.requireAdmin, async (ctx) => {
+    const { system, filename } = ctx.request.body || {};
+    const game = system && filename ? await getGameByFile(system, filename) : null;
+    if (!game) {
+        ctx.status = 404;
+        ctx.body = { error: 'Game not found' };
+        return;
+    }
+    if (!game.ss_game_id) {
+        ctx.status = 400;
+        ctx.body = { error: 'No ScreenScraper id to pin' };
+        return;
+    }
+    await scraperBindings.setBinding(system, filename, game.ss_game_id, game.name);
+    ctx.body = { status: 'ok', pinned_game_id: game.ss_game_id };
+});
+
+// 取消固定：只删除绑定，保留记录的 ss_game_id (下次同步仍可按 id 直接抓取，但不再强制)；?system=&filename=
+router.delete('/api/scraper/pin', auth.requireAdmin, async (ctx) => {
+    const { system, filename } = ctx.query;
+    if (!system || !filename) {
+        ctx.status = 400;
+        ctx.body = { error: 'Missing system or filename' };
+        return;
+    }
+    try {
+        await scraperBindings.removeBinding(system, filename);
+        ctx.body = { status: 'ok' };
+    } catch (e) {
+        ctx.status = 500;
+        ctx.body = { error: e.message };
+    }
+});
+
 router.get('/bios/:filename', async (ctx) => {
     if (!config.biosDir) {
         ctx.status = 404;
@@ -570,9 +1039,848 @@ router.get('/api/play-merged/:id/:filename', async (ctx) => {
     ctx.body = finalBuffer;
 });
 
+// ================= 多光盘 =================
+
+// 按任意一张盘的 id 找到整套光盘 (以磁盘上的现状为准)
+async function getDiscSet (ctx) {
+    const game = await new Promise((resolve) => {
+        db.get('SELECT * FROM games WHERE id = ?', [ctx.params.id], (err, row) => {
+            if (err) console.error(err);
+            resolve(row || null);
+        });
+    });
+    const members = game ? discSets.findSetMembers(game.system, game.filename) : [];
+    if (members.length < 2) {
+        ctx.status = 404;
+        ctx.body = { error: 'Disc set not found' };
+        return null;
+    }
+    return { game, members };
+}
+
+router.get('/api/disc-sets/:id/playlist.m3u', async (ctx) => {
+    const set = await getDiscSet(ctx);
+    if (!set) return;
+    const title = discSets.parseDisc(set.game.filename).title;
+    ctx.set('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+    ctx.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(title + '.m3u')}`);
+    ctx.body = discSets.buildM3u(set.members);
+});
+
+// 整套光盘打包 (m3u + 各光盘) 供 EmulatorJS 一次加载，游戏内可换盘
+router.get('/api/play-set/:id/:filename', async (ctx) => {
+    const set = await getDiscSet(ctx);
+    if (!set) return;
+    try {
+        const bundle = discSets.createSetBundle(set.game.system, set.members);
+        console.log(`[Server] Request disc set: ${bundle.entries.join(', ')}`);
+        ctx.set('Content-Type', 'application/zip');
+        ctx.set('Content-Length', bundle.length);
+        ctx.body = bundle.stream;
+    } catch (e) {
+        ctx.status = 500;
+        ctx.body = { error: e.message };
+    }
+});
+
+// ================= 收藏夹 =================
+
+const FAVORITES_NAME = '我的收藏';
+
+// 获取当前用户的“我的收藏”，不存在时自动创建
+function ensureFavorites (userId) {
+    return new Promise((resolve, reject) => {
+        db.run(
+            "INSERT OR IGNORE INTO collections (user_id, name, kind) VALUES (?, ?, 'favorites')",
+            [userId, FAVORITES_NAME],
+            (err) => {
+                if (err) return reject(err);
+                db.get(
+                    "SELECT * FROM collections WHERE user_id = ? AND kind = 'favorites'",
+                    [userId],
+                    (err, row) => (err ? reject(err) : resolve(row))
+                );
+            }
+        );
+    });
+}
+
+// 校验收藏夹归属，失败时直接写入响应并返回 null
+async function getOwnCollection (ctx) {
+    const row = await new Promise((resolve) => {
+        db.get(
+            'SELECT * FROM collections WHERE id = ? AND user_id = ?',
+            [ctx.params.id, ctx.state.user.id],
+            (err, row) => {
+                if (err) console.error(err);
+                resolve(row || null);
+            }
+        );
+    });
+    if (!row) {
+        ctx.status = 404;
+        ctx.body = { error: 'Collection not found' };
+    }
+    return row;
+}
+
+router.get('/api/collections', async (ctx) => {
+    const userId = ctx.state.user.id;
+    await ensureFavorites(userId);
+
+    // 封面取最近加入的游戏
+    const sql = `
+        SELECT c.id, c.name, c.kind, c.created_at,
+            (SELECT COUNT(*) FROM collection_items ci WHERE ci.collection_id = c.id) as count,
+            (SELECT COALESCE(g.image_path, g.screenshot_path, g.marquee_path) FROM collection_items ci
+                JOIN games g ON g.system = ci.system AND g.name = ci.game_name
+                WHERE ci.collection_id = c.id
+                ORDER BY ci.added_at DESC LIMIT 1) as cover
+        FROM collections c
+        WHERE c.user_id = ?
+        ORDER BY c.kind = 'favorites' DESC, c.created_at ASC`;
+
+    return new Promise((resolve) => {
+        db.all(sql, [userId], (err, rows) => {
+            if (err) {
+                ctx.status = 500;
+                ctx.body = { error: err.message };
+            } else ctx.body = rows;
+            resolve();
+        });
+    });
+});
+
+router.post('/api/collections', async (ctx) => {
+    const name = String((ctx.request.body || {}).name || '').trim();
+    if (!name) {
+        ctx.status = 400;
+        ctx.body = { error: 'Missing name' };
+        return;
+    }
+    return new Promise((resolve) => {
+        db.run('INSERT INTO collections (user_id, name) VALUES (?, ?)', [ctx.state.user.id, name], function (err) {
+            if (err) {
+                ctx.status = 409;
+                ctx.body = { error: err.message };
+            } else ctx.body = { id: this.lastID, name, kind: 'custom', count: 0 };
+            resolve();
+        });
+    });
+});
+
+router.patch('/api/collections/:id', async (ctx) => {
+    const collection = await getOwnCollection(ctx);
+    if (!collection) return;
+    const name = String((ctx.request.body || {}).name || '').trim();
+    if (!name || collection.kind === 'favorites') {
+        ctx.status = 400;
+        ctx.body = { error: 'Invalid name or collection cannot be renamed' };
+        return;
+    }
+    return new Promise((resolve) => {
+        db.run('UPDATE collections SET name = ? WHERE id = ?', [name, collection.id], (err) => {
+            if (err) {
+                ctx.status = 409;
+                ctx.body = { error: err.message };
+            } else ctx.body = { status: 'ok' };
+            resolve();
+        });
+    });
+});
+
+router.delete('/api/collections/:id', async (ctx) => {
+    const collection = await getOwnCollection(ctx);
+    if (!collection) return;
+    if (collection.kind === 'favorites') {
+        ctx.status = 400;
+        ctx.body = { error: 'Favorites cannot be deleted' };
+        return;
+    }
+    return new Promise((resolve) => {
+        db.serialize(() => {
+            db.run('DELETE FROM collection_items WHERE collection_id = ?', [collection.id]);
+            db.run('DELETE FROM collections WHERE id = ?', [collection.id], (err) => {
+                if (err) {
+                    ctx.status = 500;
+                    ctx.body = { error: err.message };
+                } else ctx.body = { status: 'ok' };
+                resolve();
+            });
+        });
+    });
+});
+
+router.get('/api/collections/:id/games', async (ctx) => {
+    const collection = await getOwnCollection(ctx);
+    if (!collection) return;
+
+    const sql = `SELECT g.system as system, ${GAME_LIST_FIELDS}, MAX(ci.added_at) as added_at
+        FROM collection_items ci
+        JOIN games g ON g.system = ci.system AND g.name = ci.game_name
+        WHERE ci.collection_id = ?
+        GROUP BY g.system, g.name
+        ORDER BY added_at DESC`;
+
+    return new Promise((resolve) => {
+        db.all(sql, [collection.id], (err, rows) => {
+            if (err) {
+                ctx.status = 500;
+                ctx.body = { error: err.message };
+            } else ctx.body = { collection, data: rows };
+            resolve();
+        });
+    });
+});
+
+router.post('/api/collections/:id/games', async (ctx) => {
+    const collection = await getOwnCollection(ctx);
+    if (!collection) return;
+    const { system, name } = ctx.request.body || {};
+    if (!system || !name) {
+        ctx.status = 400;
+        ctx.body = { error: 'Missing system or name' };
+        return;
+    }
+    return new Promise((resolve) => {
+        db.run(
+            'INSERT OR IGNORE INTO collection_items (collection_id, system, game_name) VALUES (?, ?, ?)',
+            [collection.id, system, name],
+            (err) => {
+                if (err) {
+                    ctx.status = 500;
+                    ctx.body = { error: err.message };
+                } else ctx.body = { status: 'ok' };
+                resolve();
+            }
+        );
+    });
+});
+
+// DELETE 请求不解析 body，游戏通过 query 指定
+router.delete('/api/collections/:id/games', async (ctx) => {
+    const collection = await getOwnCollection(ctx);
+    if (!collection) return;
+    const { system, name } = ctx.query;
+    if (!system || !name) {
+        ctx.status = 400;
+        ctx.body = { error: 'Missing system or name' };
+        return;
+    }
+    return new Promise((resolve) => {
+        db.run(
+            'DELETE FROM collection_items WHERE collection_id = ? AND system = ? AND game_name = ?',
+            [collection.id, system, name],
+            (err) => {
+                if (err) {
+                    ctx.status = 500;
+                    ctx.body = { error: err.message };
+                } else ctx.body = { status: 'ok' };
+                resolve();
+            }
+        );
+    });
+});
+
+// 查询某个游戏被放进了哪些收藏夹 (详情页用)
+router.get('/api/game-collections', async (ctx) => {
+    const { system, name } = ctx.query;
+    if (!system || !name) {
+        ctx.status = 400;
+        return;
+    }
+    await ensureFavorites(ctx.state.user.id);
+    return new Promise((resolve) => {
+        db.all(
+            `SELECT c.id, c.name, c.kind,
+                EXISTS(SELECT 1 FROM collection_items ci
+                    WHERE ci.collection_id = c.id AND ci.system = ? AND ci.game_name = ?) as contains
+             FROM collections c WHERE c.user_id = ?
+             ORDER BY c.kind = 'favorites' DESC, c.created_at ASC`,
+            [system, name, ctx.state.user.id],
+            (err, rows) => {
+                if (err) {
+                    ctx.status = 500;
+                    ctx.body = { error: err.message };
+                } else ctx.body = rows.map((r) => ({ ...r, contains: !!r.contains }));
+                resolve();
+            }
+        );
+    });
+});
+
+// ================= 云存档 =================
+
+// 解析并校验存档路由参数，失败时直接写入响应并返回 null
+async function resolveSaveTarget (ctx) {
+    const { id, type, slot } = ctx.params;
+    if (type !== undefined && !SAVE_TYPES[type]) {
+        ctx.status = 400;
+        ctx.body = { error: 'Invalid save type' };
+        return null;
+    }
+    if (slot !== undefined && !/^[\w-]{1,32}$/.test(slot)) {
+        ctx.status = 400;
+        ctx.body = { error: 'Invalid save slot' };
+        return null;
+    }
+    const game = await getGameById(id);
+    if (!game) {
+        ctx.status = 404;
+        ctx.body = { error: 'Game not found' };
+        return null;
+    }
+    return { game, type, slot, userId: ctx.state.user.id };
+}
+
+router.get('/api/saves/:id', async (ctx) => {
+    const target = await resolveSaveTarget(ctx);
+    if (!target) return;
+
+    return new Promise((resolve) => {
+        db.all(
+            'SELECT type, slot, size, updated_at FROM saves WHERE user_id = ? AND game_path = ? ORDER BY updated_at DESC',
+            [target.userId, target.game.path],
+            (err, rows) => {
+                if (err) {
+                    ctx.status = 500;
+                    ctx.body = { error: err.message };
+                } else ctx.body = rows;
+                resolve();
+            }
+        );
+    });
+});
+
+router.get('/api/saves/:id/:type/:slot', async (ctx) => {
+    const target = await resolveSaveTarget(ctx);
+    if (!target) return;
+
+    const row = await new Promise((resolve) => {
+        db.get(
+            'SELECT file_path, updated_at FROM saves WHERE user_id = ? AND game_path = ? AND type = ? AND slot = ?',
+            [target.userId, target.game.path, target.type, target.slot],
+            (err, row) => {
+                if (err) console.error(err);
+                resolve(row || null);
+            }
+        );
+    });
+
+    const fullPath = row ? path.join(SAVES_DIR, row.file_path) : null;
+    if (!fullPath || !fs.existsSync(fullPath)) {
+        ctx.status = 404;
+        ctx.body = 'Save not found';
+        return;
+    }
+
+    ctx.set('Cache-Control', 'no-store');
+    ctx.type = 'application/octet-stream';
+    ctx.body = fs.createReadStream(fullPath);
+});
+
+router.post('/api/saves/:id/:type/:slot', async (ctx) => {
+    const target = await resolveSaveTarget(ctx);
+    if (!target) return;
+
+    const { game, type, slot, userId } = target;
+    const relPath = path.join(String(userId), game.path, `${type}-${slot}${SAVE_TYPES[type]}`).replace(/\\/g, '/');
+
+    let size = 0;
+    try {
+        size = await writeRequestToFile(ctx.req, path.join(SAVES_DIR, relPath));
+    } catch (e) {
+        ctx.status = 413;
+        ctx.body = { error: e.message };
+        return;
+    }
+
+    return new Promise((resolve) => {
+        db.run(
+            `INSERT INTO saves (user_id, game_path, type, slot, file_path, size, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+             ON CONFLICT(user_id, game_path, type, slot) DO UPDATE SET
+                file_path = excluded.file_path, size = excluded.size, updated_at = CURRENT_TIMESTAMP`,
+            [userId, game.path, type, slot, relPath, size],
+            (err) => {
+                if (err) {
+                    ctx.status = 500;
+                    ctx.body = { error: err.message };
+                } else {
+                    console.log(`[Saves] ${game.filename} -> ${type}/${slot} (${size} B)`);
+                    ctx.body = { status: 'ok', size };
+                }
+                resolve();
+            }
+        );
+    });
+});
+
+router.delete('/api/saves/:id/:type/:slot', async (ctx) => {
+    const target = await resolveSaveTarget(ctx);
+    if (!target) return;
+
+    const { game, type, slot, userId } = target;
+    const row = await new Promise((resolve) => {
+        db.get(
+            'SELECT id, file_path FROM saves WHERE user_id = ? AND game_path = ? AND type = ? AND slot = ?',
+            [userId, game.path, type, slot],
+            (err, row) => {
+                if (err) console.error(err);
+                resolve(row || null);
+            }
+        );
+    });
+    if (!row) {
+        ctx.status = 404;
+        return;
+    }
+
+    try {
+        fs.removeSync(path.join(SAVES_DIR, row.file_path));
+    } catch (e) {
+        console.error('[Saves] 删除存档文件失败:', e.message);
+    }
+
+    return new Promise((resolve) => {
+        db.run('DELETE FROM saves WHERE id = ?', [row.id], (err) => {
+            if (err) {
+                ctx.status = 500;
+                ctx.body = { error: err.message };
+            } else ctx.body = { status: 'ok' };
+            resolve();
+        });
+    });
+});
+
+// ================= 游玩记录 =================
+
+// 单次会话时长上限，防止标签页被直接关掉、没有上报结束时把时长算成几天
+const MAX_SESSION_SECONDS = 12 * 60 * 60;
+
+// 开始游玩：登记会话并累加启动次数
+router.post('/api/play-sessions', async (ctx) => {
+    const game = await getGameById(ctx.request.body.id);
+    if (!game) {
+        ctx.status = 404;
+        ctx.body = { error: 'Game not found' };
+        return;
+    }
+    const userId = ctx.state.user.id;
+    const now = Date.now();
+
+    return new Promise((resolve) => {
+        db.serialize(() => {
+            db.run(
+                `INSERT INTO play_stats (user_id, game_path, last_played, total_seconds, launch_count)
+                 VALUES (?, ?, ?, 0, 1)
+                 ON CONFLICT(user_id, game_path) DO UPDATE SET
+                    last_played = excluded.last_played,
+                    launch_count = launch_count + 1`,
+                [userId, game.path, now]
+            );
+            db.run(
+                'INSERT INTO play_sessions (user_id, game_path, started_at) VALUES (?, ?, ?)',
+                [userId, game.path, now],
+                function (err) {
+                    if (err) {
+                        ctx.status = 500;
+                        ctx.body = { error: err.message };
+                    } else ctx.body = { sessionId: this.lastID };
+                    resolve();
+                }
+            );
+        });
+    });
+});
+
+// 结束游玩：回填时长并计入累计时间 (重复上报时只生效一次)
+router.post('/api/play-sessions/:id/stop', async (ctx) => {
+    const userId = ctx.state.user.id;
+    const session = await new Promise((resolve) => {
+        db.get(
+            'SELECT * FROM play_sessions WHERE id = ? AND user_id = ?',
+            [ctx.params.id, userId],
+            (err, row) => {
+                if (err) console.error('[Play] 查询会话失败:', err);
+                resolve(row || null);
+            }
+        );
+    });
+    if (!session) {
+        ctx.status = 404;
+        ctx.body = { error: 'Session not found' };
+        return;
+    }
+    if (session.ended_at) {
+        ctx.body = { status: 'ok', duration: session.duration };
+        return;
+    }
+
+    const now = Date.now();
+    const duration = Math.min(Math.max(0, Math.round((now - session.started_at) / 1000)), MAX_SESSION_SECONDS);
+
+    return new Promise((resolve) => {
+        db.serialize(() => {
+            db.run('UPDATE play_sessions SET ended_at = ?, duration = ? WHERE id = ?', [now, duration, session.id]);
+            db.run(
+                `UPDATE play_stats SET total_seconds = total_seconds + ?, last_played = ?
+                 WHERE user_id = ? AND game_path = ?`,
+                [duration, now, userId, session.game_path],
+                (err) => {
+                    if (err) {
+                        ctx.status = 500;
+                        ctx.body = { error: err.message };
+                    } else ctx.body = { status: 'ok', duration };
+                    resolve();
+                }
+            );
+        });
+    });
+});
+
+// 最近游玩：首页“继续游玩”栏，跨主机按最近时间排序
+router.get('/api/recently-played', async (ctx) => {
+    const limit = Math.min(Math.max(parseInt(ctx.query.limit) || 12, 1), 50);
+    const sql = `SELECT g.system as system, ${GAME_LIST_FIELDS},
+            MAX(ps.last_played) as last_played, SUM(ps.total_seconds) as total_seconds,
+            SUM(ps.launch_count) as launch_count
+        FROM play_stats ps
+        JOIN games g ON g.path = ps.game_path
+        WHERE ps.user_id = ?
+        GROUP BY g.system, g.name
+        ORDER BY last_played DESC
+        LIMIT ?`;
+
+    return new Promise((resolve) => {
+        db.all(sql, [ctx.state.user.id, limit], (err, rows) => {
+            if (err) {
+                ctx.status = 500;
+                ctx.body = { error: err.message };
+            } else ctx.body = rows;
+            resolve();
+        });
+    });
+});
+
+// ================= 同步任务历史 =================
+
+router.get('/api/sync-jobs', auth.requireAdmin, async (ctx) => {
+    const limit = Math.min(Math.max(parseInt(ctx.query.limit) || 50, 1), 200);
+    try {
+        ctx.body = await jobStore.listJobs(limit);
+    } catch (e) {
+        ctx.status = 500;
+        ctx.body = { error: e.message };
+    }
+});
+
+router.get('/api/sync-jobs/:id', auth.requireAdmin, async (ctx) => {
+    try {
+        const job = await jobStore.getJob(ctx.params.id);
+        if (!job) {
+            ctx.status = 404;
+            ctx.body = { error: 'Job not found' };
+            return;
+        }
+        ctx.body = job;
+    } catch (e) {
+        ctx.status = 500;
+        ctx.body = { error: e.message };
+    }
+});
+
+// ================= 待处理报告 =================
+
+// 批量重试使用的同步选项：只重刮列出的文件，缺视频的分类额外抓取视频
+const ATTENTION_RETRY_OPTIONS = {
+    syncInfo: true,
+    syncImages: true,
+    syncMarquees: true,
+    syncBoxArt: false,
+    syncVideo: false
+};
+
+// ?type= 时返回该分类的分页列表，否则只返回各分类数量
+router.get('/api/attention', auth.requireAdmin, async (ctx) => {
+    const { type, system, page, pageSize } = ctx.query;
+    if (type && !attentionReport.isValidType(type)) {
+        ctx.status = 400;
+        ctx.body = { error: 'Invalid type' };
+        return;
+    }
+    try {
+        const summary = await attentionReport.getSummary();
+        const list = type ? await attentionReport.listItems(type, { system, page, pageSize }) : null;
+        ctx.body = { summary, type: type || null, ...list };
+    } catch (e) {
+        ctx.status = 500;
+        ctx.body = { error: e.message };
+    }
+});
+
+// body: { type, system, items: [{ system, filename }] }；不传 items 时重试该分类 (及主机) 下的全部文件
+router.post('/api/attention/retry', auth.requireAdmin, async (ctx) => {
+    const { type, system, items } = ctx.request.body || {};
+    if (!attentionReport.isValidType(type) && !Array.isArray(items)) {
+        ctx.status = 400;
+        ctx.body = { error: 'Missing type or items' };
+        return;
+    }
+
+    let groups = {};
+    if (Array.isArray(items)) {
+        items
+            .filter((item) => item && item.system && item.filename)
+            .forEach((item) => {
+                if (!groups[item.system]) groups[item.system] = [];
+                groups[item.system].push(item.filename);
+            });
+    } else {
+        groups = await attentionReport.listFilesBySystem(type, system || null);
+    }
+
+    const options = { ...ATTENTION_RETRY_OPTIONS, syncVideo: type === 'no_video', incremental: false };
+    const queued = [];
+    const skipped = [];
+    for (const [sys, filenames] of Object.entries(groups)) {
+        // 主机忙碌时排到其后，或并入等待中的重试任务，文件列表不会丢失
+        const result = await scanner.addToSyncQueue(sys, { ...options, onlyFiles: filenames }, { whenBusy: 'queue' });
+        if (result.success) {
+            queued.push({
+                system: sys,
+                count: filenames.length,
+                jobId: result.jobId,
+                deferred: !!(result.deferred || result.merged)
+            });
+        } else skipped.push({ system: sys, message: result.message });
+    }
+    ctx.body = { status: 'ok', queued, skipped };
+});
+
+// ================= 定时同步 =================
+
+router.get('/api/schedules', auth.requireAdmin, async (ctx) => {
+    try {
+        ctx.body = await scheduler.listSchedules();
+    } catch (e) {
+        ctx.status = 500;
+        ctx.body = { error: e.message };
+    }
+});
+
+router.post('/api/schedules', auth.requireAdmin, async (ctx) => {
+    try {
+        ctx.body = await scheduler.createSchedule(ctx.request.body || {});
+    } catch (e) {
+        ctx.status = 400;
+        ctx.body = { error: e.message };
+    }
+});
+
+router.put('/api/schedules/:id', auth.requireAdmin, async (ctx) => {
+    try {
+        const schedule = await scheduler.updateSchedule(ctx.params.id, ctx.request.body || {});
+        if (!schedule) {
+            ctx.status = 404;
+            ctx.body = { error: 'Schedule not found' };
+            return;
+        }
+        ctx.body = schedule;
+    } catch (e) {
+        ctx.status = 400;
+        ctx.body = { error: e.message };
+    }
+});
+
+router.delete('/api/schedules/:id', auth.requireAdmin, async (ctx) => {
+    try {
+        if (!(await scheduler.deleteSchedule(ctx.params.id))) {
+            ctx.status = 404;
+            ctx.body = { error: 'Schedule not found' };
+            return;
+        }
+        ctx.body = { status: 'ok' };
+    } catch (e) {
+        ctx.status = 500;
+        ctx.body = { error: e.message };
+    }
+});
+
+// 立即执行一次 (不影响下次定时触发)
+router.post('/api/schedules/:id/run', auth.requireAdmin, async (ctx) => {
+    try {
+        const schedule = await scheduler.getSchedule(ctx.params.id);
+        if (!schedule) {
+            ctx.status = 404;
+            ctx.body = { error: 'Schedule not found' };
+            return;
+        }
+        ctx.body = await scheduler.runSchedule(schedule);
+    } catch (e) {
+        ctx.status = 500;
+        ctx.body = { error: e.message };
+    }
+});
+
+// ================= 媒体回收站 =================
+
+router.get('/api/media-trash', auth.requireAdmin, async (ctx) => {
+    try {
+        ctx.body = mediaTrash.list(ctx.query.system || null);
+    } catch (e) {
+        ctx.status = 500;
+        ctx.body = { error: e.message };
+    }
+});
+
+// 预览回收站中的文件 (不在静态目录下)
+router.get('/api/media-trash/file', auth.requireAdmin, async (ctx) => {
+    let fullPath;
+    try {
+        fullPath = mediaTrash.getItemPath(ctx.query.id);
+    } catch (e) {
+        ctx.status = 400;
+        ctx.body = { error: e.message };
+        return;
+    }
+    if (!fullPath) {
+        ctx.status = 404;
+        return;
+    }
+    ctx.type = path.extname(fullPath);
+    ctx.body = fs.createReadStream(fullPath);
+});
+
+router.post('/api/media-trash/restore', auth.requireAdmin, async (ctx) => {
+    const { id } = ctx.request.body || {};
+    let restored;
+    try {
+        restored = mediaTrash.restore(id);
+    } catch (e) {
+        ctx.status = e.message === 'Trash item not found' ? 404 : 400;
+        ctx.body = { error: e.message };
+        return;
+    }
+    // 重新关联到游戏记录，否则下次同步清理时会再次被当作冗余资源
+    let linked = 0;
+    try {
+        linked = await mediaTrash.relinkRestored(restored);
+    } catch (e) {
+        console.error('[Trash] 重新关联游戏失败:', e.message);
+    }
+    console.log(`[Trash] 已恢复: ${restored} (关联 ${linked} 条记录)`);
+    ctx.body = { status: 'ok', path: restored, linked };
+});
+
+// ================= DAT 校验与审计 =================
+
+// 后台重新校验整个主机，进度写入同步日志
+router.post('/api/verify/:system', auth.requireAdmin, async (ctx) => {
+    const { system } = ctx.params;
+    if (datVerifier.isRunning(system)) {
+        ctx.status = 409;
+        ctx.body = { error: 'Verification already running' };
+        return;
+    }
+    if (!datVerifier.hasDat(system)) {
+        ctx.status = 404;
+        ctx.body = { error: 'No DAT file found for this system' };
+        return;
+    }
+    const logger = (msg) => scanner.addLog(msg, system);
+    datVerifier.verifySystem(system, logger).catch((e) => logger(`DAT 校验中断: ${e.message}`));
+    ctx.status = 202;
+    ctx.body = { status: 'started' };
+});
+
+router.get('/api/audit/:system', auth.requireAdmin, async (ctx) => {
+    try {
+        const report = await datVerifier.getAuditReport(ctx.params.system);
+        if (!report) {
+            ctx.status = 404;
+            ctx.body = { error: 'No DAT file found for this system' };
+            return;
+        }
+        ctx.body = { ...report, running: datVerifier.isRunning(ctx.params.system) };
+    } catch (e) {
+        ctx.status = 500;
+        ctx.body = { error: e.message };
+    }
+});
+
+// ================= 元数据导出 =================
+
+// 下载某主机的 gamelist.xml / metadata.pegasus.txt (媒体路径相对 ROM 目录)
+// koa-router 会解码 %2F，主机名必须是 romsDir 下实际存在的主机目录，防止读写到 ROM 目录之外
+function isExportSystem (system) {
+    return !/[\\/]/.test(system) && romDiscovery.listSystems().includes(system);
+}
+
+router.get('/api/export/:system/:format', async (ctx) => {
+    const { system, format } = ctx.params;
+    if (!isExportSystem(system)) {
+        ctx.status = 404;
+        ctx.body = { error: 'System not found' };
+        return;
+    }
+    if (!exporter.FORMATS[format]) {
+        ctx.status = 400;
+        ctx.body = { error: 'Unknown export format' };
+        return;
+    }
+    try {
+        const { filename, contentType, content } = await exporter.renderExport(system, format);
+        ctx.set('Content-Type', contentType);
+        ctx.set('Content-Disposition', `attachment; filename="${filename}"`);
+        ctx.body = content;
+    } catch (e) {
+        ctx.status = 500;
+        ctx.body = { error: e.message };
+    }
+});
+
+// 直接写入 ROM 目录 (已有文件备份为 .bak)，format 可为 gamelist / pegasus / all
+router.post('/api/export/:system', auth.requireAdmin, async (ctx) => {
+    const { system } = ctx.params;
+    const { format = 'all' } = ctx.request.body || {};
+    const formats = format === 'all' ? Object.keys(exporter.FORMATS) : [format];
+    if (!isExportSystem(system)) {
+        ctx.status = 404;
+        ctx.body = { error: 'System not found' };
+        return;
+    }
+    if (!formats.every((f) => exporter.FORMATS[f])) {
+        ctx.status = 400;
+        ctx.body = { error: 'Unknown export format' };
+        return;
+    }
+    try {
+        // 没有游戏记录时不写入，避免空文件覆盖 ROM 目录中原有的 gamelist.xml
+        if (!(await exporter.countSystemGames(system))) {
+            ctx.status = 409;
+            ctx.body = { error: 'No games to export for this system' };
+            return;
+        }
+        const files = [];
+        for (const f of formats) {
+            const { target, count } = await exporter.exportToDisk(system, f);
+            console.log(`[Export] ${system}: ${count} 个游戏 -> ${target}`);
+            files.push({ format: f, path: path.relative(config.romsDir, target).replace(/\\/g, '/'), count });
+        }
+        ctx.body = { status: 'ok', files };
+    } catch (e) {
+        ctx.status = 500;
+        ctx.body = { error: e.message };
+    }
+});
+
 app.use(router.routes()).use(router.allowedMethods());
 const server = app.listen(config.port, () => {
     console.log(`RetroRomWeb V15 (Fixed DB Mode) started on http://localhost:${config.port}`);
+    scanner.resumeUnfinishedJobs().catch((e) => console.error('[Jobs] 续跑任务失败:', e));
+    watcher.start();
+    scheduler.start();
 });
 
 server.setTimeout(0);
@@ -17,6 +17,38 @@ module.exports = {
     // 图片/资源存放目录
     mediaDir: path.join(__dirname, 'public', 'images'),
 
+    // 云存档存放目录 (即时存档 / SRAM)
+    savesDir: path.join(__dirname, 'saves'),
+
+    // 媒体回收站保留天数：同步时清理的冗余图片/视频会先移入 mediaDir/.trash，超过该天数后才真正删除
+    mediaTrashRetentionDays: 30,
+
+    // ROM 子目录扫描深度 (0 = 只扫描主机根目录)：子目录默认视为分类 (如 roms/snes/Hacks/)，
+    // 可在 systems.json 中为单个主机配置 "scan_depth": 数字，以及 "folder_mode": "game" (每个子目录就是一个游戏，适合 DOS / PC)
+    // 可识别的扩展名见 systems.json 中各主机的 "extensions"；"companions" 为需要隐藏的伴随文件扩展名 (如 cue 引用的 .bin 轨道)
+    romScanDepth: 3,
+
+    // ROM 目录监听：开启后新拷贝进来的 ROM 自动逐个入库，被删除的 ROM 自动移除记录 (从未同步过的主机仍需先手动同步)
+    // usePolling: 网络共享 (NFS / SMB) 上文件事件不可靠时改为定时比对；pollInterval / debounce 单位为秒
+    // syncOptions: 自动入库时的抓取选项 (可选，格式同同步接口)，默认抓取资料、封面与 Logo
+    romWatcher: {
+        enabled: false,
+        usePolling: false,
+        pollInterval: 60,
+        debounce: 10
+    },
+
+    // DAT 校验文件目录 (No-Intro / Redump / MAME 的 Logiqx XML)：按主机放在 datDir/<主机>/ 下，
+    // 或在 systems.json 中用 "dat": "xxx.dat" 指定 (相对此目录)
+    datDir: path.join(__dirname, 'dats'),
+
+    // 元数据抓取源顺序 (前者命中即停止)：
+    // 'local' = 读取 ROM 旁的同名 .json 或 roms/<主机>/metadata.json
+    // 'gamelist' = 读取 roms/<主机>/gamelist.xml (EmulationStation / Batocera / RetroPie)，并导入其中引用的本地媒体
+    // 'screenscraper' = 在线抓取
+    // 可在 systems.json 中为单个主机配置 "providers": [...] 覆盖此顺序
+    scraperProviders: ['local', 'gamelist', 'screenscraper'],
+
     // ScreenScraper API 配置
     // 如果没有账号，可以使用通用的匿名配置，但配额很少。
     // 申请账号地址: https://www.screenscraper.fr/
@@ -30,6 +62,13 @@ module.exports = {
 
         // 您的 ScreenScraper 用户账号 (必填，否则 API 限制极严)
         user: 'YOUR_USERNAME_HERE',
-        password: 'YOUR_PASSWORD_HERE'
+        password: 'YOUR_PASSWORD_HERE',
+
+        // 抓取线程数 (可选)：默认使用账号的 maxthreads，这里只能往下调
+        threads: 0,
+
+        // 请求限流 (可选，0 表示跟随账号限额)：每分钟 / 每天最多请求次数
+        maxRequestsPerMinute: 0,
+        maxRequestsPerDay: 0
     }
 };
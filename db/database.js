@@ -9,6 +9,15 @@ fs.ensureDirSync(path.dirname(dbPath));
 
 const db = new sqlite3.Database(dbPath);
 
+// 旧库升级：为已存在的表补充新增字段 (字段已存在时忽略报错)
+function ensureColumn (table, column, definition) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+        if (err && !/duplicate column/i.test(err.message)) {
+            console.error(`[DB] 添加字段 ${table}.${column} 失败:`, err.message);
+        }
+    });
+}
+
 db.serialize(() => {
     // 游戏表
     // 【修改】同步增加了 marquee_path, box_texture_path, screenshot_path 字段定义
@@ -36,6 +45,210 @@ db.serialize(() => {
     // 创建索引
     db.run('CREATE INDEX IF NOT EXISTS idx_games_system ON games(system)');
     db.run('CREATE INDEX IF NOT EXISTS idx_games_name ON games(name)');
+
+    // 元数据来源 (screenscraper / local ...)
+    ensureColumn('games', 'scraper_provider', 'TEXT');
+    // DAT 校验结果 (verified / bad / missing / unknown) 与命中的 DAT 条目名
+    ensureColumn('games', 'verify_status', 'TEXT');
+    ensureColumn('games', 'dat_name', 'TEXT');
+    // 多光盘：同一套光盘共用 disc_set (形如 psx/Game.m3u)，disc_number 为盘号
+    ensureColumn('games', 'disc_set', 'TEXT');
+    ensureColumn('games', 'disc_number', 'INTEGER');
+    // ROM 所在的分类子目录 (相对主机目录，如 "Hacks")，根目录下为空字符串
+    ensureColumn('games', 'folder', "TEXT DEFAULT ''");
+    // 手动编辑后锁定的字段 (JSON 数组)，重新同步时不被抓取结果覆盖
+    ensureColumn('games', 'locked_fields', "TEXT DEFAULT '[]'");
+    // 上次匹配到的 ScreenScraper 游戏 id，重新同步时优先按 id 获取；固定 (pin) 的 id 记录在 scraper_bindings
+    ensureColumn('games', 'ss_game_id', 'TEXT');
+    // 最近一次抓取的结果：匹配方式 (pinned / id / hash / name / search / local / gamelist)、unmatched 或 error (原因见 scrape_error)
+    // hash 表示按 CRC32 / MD5 / SHA1 校验值命中；旧版本记为 md5，这里统一改写
+    ensureColumn('games', 'scrape_status', 'TEXT');
+    db.run("UPDATE games SET scrape_status = 'hash' WHERE scrape_status = 'md5'", (err) => {
+        if (err) console.error('[DB] 更新抓取状态失败:', err.message);
+    });
+    ensureColumn('games', 'scrape_error', 'TEXT');
+    ensureColumn('games', 'scraped_at', 'DATETIME');
+
+    // 用户表 (role: admin / player)
+    db.run(`CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE,
+        password_hash TEXT,
+        role TEXT DEFAULT 'player',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // 登录会话表，expires_at 为毫秒时间戳
+    db.run(`CREATE TABLE IF NOT EXISTS sessions (
+        token TEXT PRIMARY KEY,
+        user_id INTEGER,
+        expires_at INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+
+    // 收藏夹 (kind: favorites 为每个用户自动创建的“我的收藏”，custom 为自定义合集)
+    db.run(`CREATE TABLE IF NOT EXISTS collections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        name TEXT,
+        kind TEXT DEFAULT 'custom',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, name)
+    )`);
+
+    // 收藏夹条目：与前端一致，以 主机 + 游戏名 作为一个游戏 (同名多版本视为同一游戏)
+    db.run(`CREATE TABLE IF NOT EXISTS collection_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection_id INTEGER,
+        system TEXT,
+        game_name TEXT,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(collection_id, system, game_name)
+    )`);
+
+    // 存档表 (即时存档 state / 游戏内存档 sram)，按用户隔离
+    // 以 ROM 相对路径 game_path 关联游戏，因为重新扫描时 games 表的 id 会变化
+    db.run(`CREATE TABLE IF NOT EXISTS saves (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        game_path TEXT,
+        type TEXT,
+        slot TEXT,
+        file_path TEXT,
+        size INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, game_path, type, slot)
+    )`);
+
+    // 游玩记录：每次启动模拟器记一条会话，结束时回填时长
+    db.run(`CREATE TABLE IF NOT EXISTS play_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        game_path TEXT,
+        started_at INTEGER,
+        ended_at INTEGER,
+        duration INTEGER DEFAULT 0
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_play_sessions_user ON play_sessions(user_id, game_path)');
+
+    // 游玩统计汇总 (最近游玩 / 累计秒数 / 启动次数)，同样以 game_path 关联游戏
+    db.run(`CREATE TABLE IF NOT EXISTS play_stats (
+        user_id INTEGER,
+        game_path TEXT,
+        last_played INTEGER,
+        total_seconds INTEGER DEFAULT 0,
+        launch_count INTEGER DEFAULT 0,
+        PRIMARY KEY(user_id, game_path)
+    )`);
+
+    // 同步任务 (kind: system 整机同步 / single 单游戏刷新)，重启后据此续跑
+    db.run(`CREATE TABLE IF NOT EXISTS sync_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT DEFAULT 'system',
+        system TEXT,
+        options TEXT,
+        status TEXT DEFAULT 'pending',
+        total INTEGER DEFAULT 0,
+        done_count INTEGER DEFAULT 0,
+        failed_count INTEGER DEFAULT 0,
+        message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_sync_jobs_status ON sync_jobs(status)');
+
+    // 同步子任务：每个待处理的 ROM 文件一行
+    db.run(`CREATE TABLE IF NOT EXISTS sync_tasks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER,
+        filename TEXT,
+        status TEXT DEFAULT 'pending',
+        error TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(job_id, filename)
+    )`);
+
+    // 定时同步：cron 为 5 段表达式，systems 为主机名 JSON 数组 (空数组表示全部主机)，options 同同步接口参数
+    db.run(`CREATE TABLE IF NOT EXISTS sync_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT,
+        cron TEXT,
+        systems TEXT DEFAULT '[]',
+        options TEXT,
+        enabled INTEGER DEFAULT 1,
+        last_run_at DATETIME,
+        last_message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // 手动指定的抓取结果：某个 ROM 绑定到 ScreenScraper 的游戏 id，重新同步时直接按 id 抓取，跳过自动匹配
+    db.run(`CREATE TABLE IF NOT EXISTS scraper_bindings (
+        system TEXT,
+        filename TEXT,
+        game_id TEXT NOT NULL,
+        game_name TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (system, filename)
+    )`);
+
+    // 从回收站恢复、但找不到对应游戏的媒体文件 (path 为相对 mediaDir 的路径)，清理冗余资源时跳过
+    db.run(`CREATE TABLE IF NOT EXISTS media_keep (
+        path TEXT PRIMARY KEY,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // ROM 校验值缓存：path 同 games.path，size / mtime 变化即视为失效；zip_entries 为包内文件校验值 (JSON)
+    db.run(`CREATE TABLE IF NOT EXISTS rom_files (
+        path TEXT PRIMARY KEY,
+        size INTEGER,
+        mtime INTEGER,
+        crc32 TEXT,
+        md5 TEXT,
+        sha1 TEXT,
+        zip_entries TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    ensureGameSearchIndex();
 });
 
+// 全文检索索引 (FTS5，trigram 分词可匹配中文与任意子串)：以 games 为外部内容表，由触发器随增删改同步
+// 首次创建时从 games 重建；当前 SQLite 不支持 FTS5 / trigram 时跳过，搜索退回 LIKE
+function ensureGameSearchIndex () {
+    const cols = 'name, "desc", developer, publisher, genre';
+    const triggers = [
+        `CREATE TRIGGER IF NOT EXISTS games_fts_ai AFTER INSERT ON games BEGIN
+            INSERT INTO games_fts (rowid, ${cols}) VALUES (new.id, new.name, new.desc, new.developer, new.publisher, new.genre);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS games_fts_ad AFTER DELETE ON games BEGIN
+            INSERT INTO games_fts (games_fts, rowid, ${cols})
+            VALUES ('delete', old.id, old.name, old.desc, old.developer, old.publisher, old.genre);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS games_fts_au AFTER UPDATE OF name, desc, developer, publisher, genre ON games BEGIN
+            INSERT INTO games_fts (games_fts, rowid, ${cols})
+            VALUES ('delete', old.id, old.name, old.desc, old.developer, old.publisher, old.genre);
+            INSERT INTO games_fts (rowid, ${cols}) VALUES (new.id, new.name, new.desc, new.developer, new.publisher, new.genre);
+        END`
+    ];
+
+    db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'games_fts'", (err, row) => {
+        if (err) return console.error('[DB] 检查全文索引失败:', err.message);
+        const createTriggers = () => triggers.forEach((sql) => db.run(sql));
+        if (row) return createTriggers();
+
+        db.run(
+            `CREATE VIRTUAL TABLE games_fts USING fts5(${cols}, content = 'games', content_rowid = 'id', tokenize = 'trigram')`,
+            (err) => {
+                if (err) return console.error('[DB] 全文索引不可用，搜索将使用 LIKE:', err.message);
+                createTriggers();
+                db.run("INSERT INTO games_fts (games_fts) VALUES ('rebuild')", (err) => {
+                    if (err) console.error('[DB] 重建全文索引失败:', err.message);
+                });
+            }
+        );
+    });
+}
+
 module.exports = db;
@@ -0,0 +1,49 @@
+/**
+ * export.js
+ * 命令行导出元数据：把数据库中的游戏信息写成 gamelist.xml / metadata.pegasus.txt
+ * * 用法：
+ * node scripts/export.js <gamelist|pegasus|all> [主机...] [--out 目录]
+ * 1. 不指定主机时导出数据库中的全部主机。
+ * 2. 默认写入 roms/<主机>/ (已有文件会备份为 .bak)；--out 时写入 <目录>/<主机>/，媒体路径仍相对 ROM 目录。
+ */
+const db = require('../db/database');
+const exporter = require('../utils/exporter');
+
+function getAllSystems () {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT DISTINCT system FROM games ORDER BY system ASC', (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows.map((r) => r.system));
+        });
+    });
+}
+
+async function main () {
+    const args = process.argv.slice(2);
+    const outIndex = args.indexOf('--out');
+    const outDir = outIndex !== -1 ? args[outIndex + 1] : null;
+    if (outIndex !== -1) args.splice(outIndex, 2);
+
+    const [format, ...systemArgs] = args;
+    const formats = format === 'all' ? Object.keys(exporter.FORMATS) : [format];
+    if (!format || !formats.every((f) => exporter.FORMATS[f])) {
+        console.log('用法: node scripts/export.js <gamelist|pegasus|all> [主机...] [--out 目录]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const systems = systemArgs.length ? systemArgs : await getAllSystems();
+    for (const system of systems) {
+        for (const f of formats) {
+            const { target, count } = await exporter.exportToDisk(system, f, outDir);
+            console.log(`[Export] ${system}: ${count} 个游戏 -> ${target}`);
+        }
+    }
+}
+
+main()
+    .catch((e) => {
+        console.error('[Export] 导出失败:', e.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
@@ -13,130 +13,260 @@
  * 9. [Feat] 终极多版本优化：利用刮削返回的“游戏名”匹配同名游戏，在非覆盖模式下直接复用本地媒体数据，跳过重复下载。
  * 10.[Fix] 修复所有 ESLint n/handle-callback-err 回调错误未处理的警告。
  * 11.[Fix] 新增静默本地探测补偿机制：即使未勾选同步某些图片，也能智能捞取本地同名图片供背板生成器使用。
+ * 12.[Feat] 同步计划 (buildSyncPlan) 与执行拆分，新增 previewSystemSync 预演模式：只返回计划，不改数据库和磁盘。
+ * 13.[Feat] cleanOrphanedMedia 不再直接删除文件，改为移入按日期归档的媒体回收站 (utils/mediaTrash)，过期自动清除。
+ * 14.[Feat] 同步任务与逐文件子任务持久化到 SQLite (utils/jobStore)，服务重启后通过 resumeUnfinishedJobs 续跑。
+ * 15.[Feat] 新增 syncEvents 事件总线：日志 / 进度 / 任务开始结束均以结构化事件推送 (供 SSE 使用)。
+ * 16.[Feat] 抓取队列改为多线程工作池，线程数取自 ScreenScraper 账号 maxthreads (可在配置中下调)，请求走令牌桶限流。
+ * 17.[Feat] 识别 ScreenScraper 额度错误 (429/430/431)：暂停队列至恢复时间，当前游戏回滚并放回队首，配额计数进入全局状态。
+ * 18.[Feat] 抓取改走 utils/providers 多源注册表 (本地元数据 / ScreenScraper)，顺序可按主机配置，游戏记录写入数据来源 scraper_provider。
+ * 19.[Feat] 新增 gamelist.xml 抓取源，其引用的本地媒体以 file:// 链接交给 downloadMedia 复制入库。
+ * 20.[Feat] 入库时按 DAT 校验 ROM (utils/datVerifier)，记录 verify_status / dat_name，DAT 名作为抓取前的默认游戏名。
+ * 21.[Feat] ROM 校验值写入 rom_files 缓存 (size / mtime 变化即失效)，抓取与 DAT 校验共用，ROM 删除时一并清理。
+ * 22.[Feat] 识别 (Disc N) 多光盘文件并归为一套 (disc_set / disc_number)，同套统一游戏名，供生成 M3U 与整套游玩。
+ * 23.[Feat] ROM 改为递归发现 (utils/romDiscovery)，支持深度限制与按主机区分“目录即游戏 / 目录即分类”，分类目录写入 games.folder。
+ * 24.[Feat] 可识别的扩展名改为按主机配置 (systems.json extensions)，cue / gdi 引用的轨道等伴随文件不再单独入库。
+ * 25.[Feat] 新增 removeSingleGame 与 isSystemBusy，供 ROM 目录监听 (scripts/watcher) 逐文件增删。
+ * 26.[Feat] 同步选项新增 unmatchedOnly：只重刮未匹配的游戏，供定时任务 (scripts/scheduler) 使用。
+ * 27.[Feat] 重新入库时保留手动锁定的字段 (locked_fields)，抓取结果不覆盖；多光盘统一名称时优先采用锁定的名称。
+ * 28.[Feat] 记录 ScreenScraper 匹配到的游戏 id (ss_game_id)，再次抓取时传给抓取源按 id 直接获取。
+ * 29.[Feat] 每次抓取把结果写入 scrape_status (匹配方式 / unmatched / error) 与 scrape_error，供待处理报告使用；
+ *    同步选项新增 onlyFiles：只重刮指定文件 (报告页批量重试)，unmatchedOnly 同时参考 scrape_status。
+ * 30.[Feat] addToSyncQueue 新增 whenBusy: 'queue'：主机忙碌时排到当前任务之后再跑，不再直接拒绝 (供定时任务使用)。
+ * 31.[Fix] 抓取状态为 unmatched / error 的游戏在增量同步中总会重新匹配 (计划原因 retry)，不再因资料齐全被跳过；
+ *    whenBusy: 'queue' 时 onlyFiles 并入等待中的同类任务，报告页批量重试不再因主机忙碌丢失文件列表。
+ * 32.[Fix] 新增 addSingleGame 供文件监听入库新 ROM：不强制覆盖 (复用同名游戏的媒体)、不逐个清理冗余资源。
+ * 33.[Fix] 重新入库改为按 path 原地更新 (upsert)，不再先删后插：中途崩溃或续跑时记录与 locked_fields / ss_game_id 都不会丢失，id 保持不变。
+ * 34.[Fix] 媒体下载遇到 ScreenScraper 额度错误时同样暂停队列并把游戏放回队首，不再记为普通下载失败。
  */
+const EventEmitter = require('events');
 const fs = require('fs-extra');
 const path = require('path');
+const { fileURLToPath } = require('url');
 const config = require('../config');
 const db = require('../db/database');
 const scraper = require('../utils/scraper');
+const providers = require('../utils/providers');
 const fileQueue = require('../utils/queue');
 const imgProcessor = require('../utils/imgProcessor');
+const mediaTrash = require('../utils/mediaTrash');
+const jobStore = require('../utils/jobStore');
+const datVerifier = require('../utils/datVerifier');
+const romHash = require('../utils/romHash');
+const discSets = require('../utils/discSets');
+const romDiscovery = require('../utils/romDiscovery');
+const gameMetadata = require('../utils/gameMetadata');
 
 const IMG_EXTS = ['.png', '.jpg', '.jpeg', '.gif'];
 const VIDEO_EXTS = ['.mp4', '.webm', '.mkv', '.avi'];
 
-const ROM_EXTS = [
-    '.zip',
-    '.7z',
-    '.iso',
-    '.bin',
-    '.cue',
-    '.chd',
-    '.cso',
-    '.nes',
-    '.sfc',
-    '.gba',
-    '.gb',
-    '.gbc',
-    '.md',
-    '.gen',
-    '.z64',
-    '.n64',
-    '.nds',
-    '.3ds',
-    '.cia',
-    '.nsp',
-    '.xci',
-    '.wbfs',
-    '.wad',
-    '.wua',
-    '.cci',
-    '.rvz',
-    '.psv',
-    '.god',
-    '.d88'
-];
-
-const IGNORE_DIRS = [
-    'media',
-    'images',
-    'covers',
-    'screenshots',
-    'titles',
-    'wheel',
-    'marquees',
-    'boxart',
-    'boxtextures',
-    'marquee',
-    'video',
-    'videos',
-    'bios',
-    'cheats',
-    'saves',
-    'states',
-    'downloaded_images',
-    'manuals',
-    'system',
-    'tmp',
-    'temp',
-    'logs'
-];
-
 const dirCache = {};
 
 const globalStatus = {
     runningSystem: null,
+    currentJobId: null,
     pendingQueue: [],
     isStopping: false,
     logs: [],
+    events: [],
     progress: { current: 0, total: 0 }
 };
 
 let systemsConfig = null;
 
-function addLog (message, systemPrefix = null) {
+// 结构化事件总线：type 为 log / progress / job / status，均带 timestamp
+const syncEvents = new EventEmitter();
+syncEvents.setMaxListeners(0);
+let eventSeq = 0;
+
+function emitEvent (type, data) {
+    const event = { id: ++eventSeq, type, timestamp: Date.now(), ...data };
+    syncEvents.emit('event', event);
+    return event;
+}
+
+function getStatusSnapshot () {
+    return {
+        runningSystem: globalStatus.runningSystem,
+        jobId: globalStatus.currentJobId,
+        pendingQueue: globalStatus.pendingQueue.map((t) => t.system),
+        progress: globalStatus.progress,
+        isSyncing: !!globalStatus.runningSystem,
+        queuePausedUntil: fileQueue.pausedUntil,
+        scraper: scraper.getQuotaStatus()
+    };
+}
+
+function emitStatus () {
+    emitEvent('status', getStatusSnapshot());
+}
+
+function emitProgress (system, filename = null) {
+    emitEvent('progress', { system, jobId: globalStatus.currentJobId, filename, ...globalStatus.progress });
+}
+
+fileQueue.on('paused', (resumeAt) => {
+    addLog(`⛔ 抓取队列已暂停，将于 ${new Date(resumeAt).toLocaleString()} 自动恢复`, 'Scraper', { level: 'warn' });
+    emitStatus();
+});
+fileQueue.on('resumed', () => {
+    addLog('▶️ 暂停结束，抓取队列继续运行', 'Scraper');
+    emitStatus();
+});
+
+// meta: { level: 'info' | 'warn' | 'error', filename }
+function addLog (message, systemPrefix = null, meta = {}) {
     const time = new Date().toLocaleTimeString();
     const prefix = systemPrefix || globalStatus.runningSystem || 'System';
     const logMsg = `[${time}] [${prefix}] ${message}`;
     globalStatus.logs.push(logMsg);
     if (globalStatus.logs.length > 200) globalStatus.logs.shift();
     console.log(logMsg);
+
+    const event = emitEvent('log', {
+        system: prefix,
+        level: meta.level || 'info',
+        filename: meta.filename || null,
+        message
+    });
+    globalStatus.events.push(event);
+    if (globalStatus.events.length > 200) globalStatus.events.shift();
 }
 
 function ensureMediaTable () {
     db.run('CREATE TABLE IF NOT EXISTS media_library (url TEXT PRIMARY KEY, local_path TEXT)');
 }
 
+// 首次同步前读取账号限额并设置工作池线程数；读取失败时下次同步再试
+let workerPoolReady = null;
+function configureWorkerPool () {
+    if (!workerPoolReady) {
+        workerPoolReady = scraper.applyAccountLimits().then((limits) => {
+            fileQueue.setConcurrency(limits.threads);
+            const rate = `${limits.perMinute || '∞'}/分钟, ${limits.perDay || '∞'}/天`;
+            addLog(`抓取线程数: ${limits.threads}，请求限流: ${rate}`, 'Scraper');
+            if (!limits.fromAccount) workerPoolReady = null;
+        });
+    }
+    return workerPoolReady;
+}
+
 // === 核心：添加任务到队列 ===
-async function addToSyncQueue (system, options = {}) {
-    if (globalStatus.runningSystem === system) return { success: false, message: '该主机正在同步中' };
-    const inQueue = globalStatus.pendingQueue.find((task) => task.system === system);
-    if (inQueue) return { success: false, message: '该主机已在等待队列中' };
+// whenBusy：该主机正在同步或已在等待队列中时的处理方式
+//   'reject' (默认，手动同步)：直接拒绝；
+//   'queue' (定时任务等)：排到当前任务之后再执行一次，等待队列中已有相同选项的任务时直接复用，不重复加入
+async function addToSyncQueue (system, options = {}, { whenBusy = 'reject' } = {}) {
+    const isRunning = globalStatus.runningSystem === system;
+    const pending = globalStatus.pendingQueue.filter((task) => task.system === system);
+    if (whenBusy !== 'queue') {
+        if (isRunning) return { success: false, message: '该主机正在同步中' };
+        if (pending.length) return { success: false, message: '该主机已在等待队列中' };
+    } else {
+        const key = JSON.stringify(resolveSyncOptions(options));
+        const same = pending.find((task) => JSON.stringify(resolveSyncOptions(task.options)) === key);
+        if (same) {
+            addLog('等待队列中已有相同的同步任务，不再重复加入', system);
+            return { success: true, jobId: same.jobId, merged: true };
+        }
+        // 只处理指定文件 (onlyFiles) 且其余选项相同时，把文件并入尚未开始的任务
+        const target = Array.isArray(options.onlyFiles) && pending.find((task) => canMergeFiles(task, options));
+        if (target) {
+            const files = new Set([...target.options.onlyFiles, ...options.onlyFiles]);
+            target.options = { ...target.options, onlyFiles: [...files] };
+            await jobStore.updateJobOptions(target.jobId, target.options);
+            addLog(`已并入等待中的同步任务 #${target.jobId} (共 ${files.size} 个文件)`, system);
+            return { success: true, jobId: target.jobId, merged: true };
+        }
+    }
+
+    const jobId = await jobStore.createJob('system', system, options);
 
     if (!globalStatus.runningSystem) {
         addLog('立即启动同步任务', system);
-        processSystemSync(system, options).catch((err) => {
-            console.error(err);
-            finishCurrentSystem();
-        });
+        runSystemJob(system, options, jobId);
     } else {
-        globalStatus.pendingQueue.push({ system, options });
-        addLog(`当前忙碌 (${globalStatus.runningSystem})，已加入等待队列`, system);
+        globalStatus.pendingQueue.push({ system, options, jobId });
+        if (isRunning) addLog('该主机正在同步，已排在当前任务之后', system);
+        else addLog(`当前忙碌 (${globalStatus.runningSystem})，已加入等待队列`, system);
+        emitStatus();
+    }
+    return { success: true, jobId, deferred: isRunning || pending.length > 0 };
+}
+
+// 等待中的任务能否并入新的 onlyFiles：续跑任务的子任务已登记，不再改动
+function canMergeFiles (task, options) {
+    if (task.resumed || !task.options || !Array.isArray(task.options.onlyFiles)) return false;
+    const strip = (o) => JSON.stringify({ ...resolveSyncOptions(o), onlyFiles: null });
+    return strip(task.options) === strip(options);
+}
+
+// 主机正在整体同步或已在等待队列中
+function isSystemBusy (system) {
+    return globalStatus.runningSystem === system || globalStatus.pendingQueue.some((task) => task.system === system);
+}
+
+function runSystemJob (system, options, jobId) {
+    processSystemSync(system, options, jobId).catch((err) => {
+        console.error(err);
+        finishCurrentSystem('failed', err.message);
+    });
+}
+
+// === 服务启动时续跑上次未完成的同步任务 ===
+async function resumeUnfinishedJobs () {
+    const jobs = await jobStore.getUnfinishedJobs();
+    if (jobs.length === 0) return;
+    addLog(`发现 ${jobs.length} 个未完成的同步任务，准备续跑`, 'Jobs');
+
+    for (const job of jobs) {
+        const options = jobStore.parseOptions(job.options);
+        if (job.kind === 'single') {
+            const { pending } = await jobStore.getUnfinishedTasks(job.id);
+            if (pending.length === 0) {
+                jobStore.finishJob(job.id, 'done');
+                continue;
+            }
+            runSingleGame(job.system, pending[0], options, job.id, !!(options && options.autoAdd)).catch(() => {});
+        } else if (!globalStatus.runningSystem) {
+            runSystemJob(job.system, options, job.id);
+        } else {
+            globalStatus.pendingQueue.push({ system: job.system, options, jobId: job.id, resumed: true });
+        }
     }
-    return { success: true };
 }
 
 // === 单游戏强制刷新 (VIP 队列版) ===
-async function syncSingleGame (system, filename, options) {
+function syncSingleGame (system, filename, options, jobId = null) {
+    return runSingleGame(system, filename, options, jobId, false);
+}
+
+// === 文件监听发现的新 ROM：按普通同步入库 (不强制覆盖，复用同名游戏已有的媒体)，已入库则跳过 ===
+// 不单独清理冗余资源，由调用方在一批变化处理完后统一清理；任务选项带 autoAdd 标记，续跑时走同一路径
+function addSingleGame (system, filename, options) {
+    return runSingleGame(system, filename, { ...options, autoAdd: true }, null, true);
+}
+
+async function runSingleGame (system, filename, options, jobId, autoAdd) {
+    // 队列因额度暂停时直接拒绝，避免请求一直挂起到恢复时间
+    if (fileQueue.pausedUntil) {
+        const quota = scraper.getQuotaStatus();
+        throw new scraper.ScraperQuotaError(quota.pauseCode, quota.pauseReason || '抓取队列已暂停', fileQueue.pausedUntil);
+    }
+    if (!jobId) {
+        jobId = await jobStore.createJob('single', system, options);
+        await jobStore.addTasks(jobId, [filename]);
+    }
+
     return new Promise((resolve, reject) => {
         fileQueue.add(async () => {
             try {
+                jobStore.markJobRunning(jobId);
+                emitEvent('job', { phase: 'start', jobId, kind: 'single', system, filename });
                 ensureMediaTable();
-                console.log(`[Manual Sync] ${system} -> ${filename} (VIP Queue)`);
+                console.log(`[${autoAdd ? 'Auto Add' : 'Manual Sync'}] ${system} -> ${filename} (VIP Queue)`);
 
                 const sysConfig = loadSystemConfig();
                 const sysInfo = sysConfig[system.toLowerCase()] || {};
-                const scraperId = sysInfo.scraper_id;
 
                 const oldData = await new Promise((resolve) => {
                     db.get('SELECT * FROM games WHERE system = ? AND filename = ?', [system, filename], (err, row) => {
@@ -145,80 +275,125 @@ async function syncSingleGame (system, filename, options) {
                     });
                 });
 
-                await new Promise((resolve) => {
-                    db.run('DELETE FROM games WHERE system = ? AND filename = ?', [system, filename], (err) => {
-                        if (err) console.error('[Scanner] Delete Error:', err);
-                        resolve();
-                    });
-                });
-
-                const defaultOps = {
-                    syncInfo: true,
-                    syncImages: true,
-                    syncVideo: false,
-                    syncMarquees: true,
-                    syncBoxArt: false
-                };
-                const syncOps = options || defaultOps;
+                if (autoAdd && oldData) {
+                    await jobStore.setTaskStatus(jobId, filename, 'done');
+                    jobStore.finishJob(jobId, 'done', '已入库，跳过');
+                    emitEvent('job', { phase: 'finish', jobId, kind: 'single', system, filename, status: 'done' });
+                    return resolve(false);
+                }
 
-                // 单游戏刷新时，强制关闭增量模式，并开启 overwrite 模式
-                syncOps.incremental = false;
-                syncOps.overwrite = true;
+                let syncOps;
+                if (autoAdd) {
+                    syncOps = { ...resolveSyncOptions(options), overwrite: false };
+                } else {
+                    const defaultOps = {
+                        syncInfo: true,
+                        syncImages: true,
+                        syncVideo: false,
+                        syncMarquees: true,
+                        syncBoxArt: false
+                    };
+                    syncOps = options || defaultOps;
+
+                    // 单游戏刷新时，强制关闭增量模式，并开启 overwrite 模式
+                    syncOps.incremental = false;
+                    syncOps.overwrite = true;
+                }
 
-                await processNewGame(system, filename, oldData, syncOps, scraperId);
+                await processNewGame(system, filename, oldData, syncOps, sysInfo);
 
-                if (globalStatus.runningSystem !== system) {
-                    console.log(`[Manual Sync] Cleaning orphaned media for ${system}...`);
-                    await cleanOrphanedMedia(system);
-                } else {
-                    console.log(`[Manual Sync] ⚠️ 跳过清理冗余文件，因为全局正在同步 ${system}`);
+                // 自动入库的冗余资源由文件监听在整批处理完后统一清理
+                if (!autoAdd) {
+                    if (globalStatus.runningSystem !== system) {
+                        console.log(`[Manual Sync] Cleaning orphaned media for ${system}...`);
+                        await cleanOrphanedMedia(system);
+                    } else {
+                        console.log(`[Manual Sync] ⚠️ 跳过清理冗余文件，因为全局正在同步 ${system}`);
+                    }
                 }
 
+                await jobStore.setTaskStatus(jobId, filename, 'done');
+                jobStore.finishJob(jobId, 'done');
+                emitEvent('job', { phase: 'finish', jobId, kind: 'single', system, filename, status: 'done' });
                 resolve(true);
             } catch (e) {
-                console.error(`[Manual Sync Error] ${e.message}`);
+                console.error(`[${autoAdd ? 'Auto Add' : 'Manual Sync'} Error] ${e.message}`);
+                await jobStore.setTaskStatus(jobId, filename, 'failed', e.message);
+                jobStore.finishJob(jobId, 'failed', e.message);
+                emitEvent('job', { phase: 'finish', jobId, kind: 'single', system, filename, status: 'failed' });
                 reject(e);
             }
         }, true);
     });
 }
 
-// === 核心：执行系统同步 ===
-async function processSystemSync (system, options) {
-    ensureMediaTable();
-    globalStatus.runningSystem = system;
-    globalStatus.isStopping = false;
-    globalStatus.progress = { current: 0, total: 0 };
+// === 单文件移除 (文件监听发现 ROM 已删除时)：走同一条 VIP 队列，避免与正在进行的刷新交错 ===
+function removeSingleGame (system, filename) {
+    return new Promise((resolve) => {
+        fileQueue.add(async () => {
+            const romPath = path.join(system, filename).replace(/\\/g, '/');
+            await new Promise((resolve) => {
+                db.run('DELETE FROM games WHERE system = ? AND filename = ?', [system, filename], (err) => {
+                    if (err) console.error('[Scanner] Delete Error:', err);
+                    resolve();
+                });
+            });
+            romHash.forgetFiles([romPath]);
+            addLog(`🗑️ 文件已移除，删除记录: ${filename}`, system, { filename });
+            resolve(true);
+        }, true);
+    });
+}
 
-    for (const key in dirCache) delete dirCache[key];
-    addLog('准备开始同步...', system);
+const SYNC_DEFAULT_OPTIONS = {
+    syncInfo: true,
+    syncImages: true,
+    syncVideo: false,
+    syncMarquees: true,
+    syncBoxArt: false,
+    incremental: true,
+    overwrite: false,
+    unmatchedOnly: false,
+    onlyFiles: null
+};
 
-    const sysConfig = loadSystemConfig();
-    const sysInfo = sysConfig[system.toLowerCase()] || {};
-    const scraperId = sysInfo.scraper_id;
-
-    const defaultOps = {
-        syncInfo: true,
-        syncImages: true,
-        syncVideo: false,
-        syncMarquees: true,
-        syncBoxArt: false,
-        incremental: true,
-        overwrite: false
-    };
-    const syncOps = options ? { ...defaultOps, ...options } : defaultOps;
+function resolveSyncOptions (options) {
+    return options ? { ...SYNC_DEFAULT_OPTIONS, ...options } : { ...SYNC_DEFAULT_OPTIONS };
+}
+
+// 媒体文件缺失或为空文件
+function isMediaMissing (relPath) {
+    if (!relPath) return true;
+    const fullPath = path.join(config.mediaDir, relPath);
+    return !fs.existsSync(fullPath) || fs.statSync(fullPath).size === 0;
+}
 
-    if (scraperId) addLog(`Scraper ID: ${scraperId}`, system);
+// 上次抓取未匹配或出错：不论资料与媒体是否齐全，都需要重新匹配
+function needsRetry (g) {
+    return ['unmatched', 'error'].includes(g.scrape_status);
+}
 
-    const systemDir = path.join(config.romsDir, system);
-    let diskFiles = [];
-    try {
-        diskFiles = fs.readdirSync(systemDir).filter((f) => ROM_EXTS.includes(path.extname(f).toLowerCase()));
-    } catch (e) {
-        addLog(`读取目录失败: ${e.message}`, system);
-        finishCurrentSystem();
-        return;
-    }
+function isUnmatched (g) {
+    if (needsRetry(g)) return true;
+    return !g.desc || g.desc === '暂无简介';
+}
+
+// 增量模式下判断一个已入库游戏还缺哪些内容，返回缺失项列表 (为空则无需重刮)
+function getMissingParts (g, syncOps) {
+    const missing = [];
+    if (needsRetry(g)) missing.push('retry');
+    else if (syncOps.syncInfo && (!g.desc || g.desc === '暂无简介')) missing.push('info');
+    if (syncOps.syncImages && isMediaMissing(g.image_path)) missing.push('image');
+    if (syncOps.syncVideo && isMediaMissing(g.video_path)) missing.push('video');
+    if (syncOps.syncMarquees && isMediaMissing(g.marquee_path)) missing.push('marquee');
+    if (syncOps.syncBoxArt && isMediaMissing(g.box_texture_path)) missing.push('boxart');
+    return missing;
+}
+
+// === 计算同步计划 (只读：不修改数据库与磁盘) ===
+async function buildSyncPlan (system, syncOps) {
+    const sysInfo = loadSystemConfig()[system.toLowerCase()] || {};
+    const diskFiles = romDiscovery.listRomFiles(system, sysInfo);
 
     const dbGames = await new Promise((resolve) => {
         db.all('SELECT * FROM games WHERE system = ?', [system], (err, rows) => {
@@ -230,70 +405,118 @@ async function processSystemSync (system, options) {
     const dbFilenameMap = {};
     dbGames.forEach((g) => (dbFilenameMap[g.filename] = g));
 
-    const toAdd = diskFiles.filter((f) => !dbFilenameMap[f]);
-    const toDelete = dbGames.filter((g) => !diskFiles.includes(g.filename));
+    // onlyFiles：只处理指定的已入库文件，不新增也不删除
+    const onlyFiles = Array.isArray(syncOps.onlyFiles) ? new Set(syncOps.onlyFiles) : null;
+    const toAdd = onlyFiles ? [] : diskFiles.filter((f) => !dbFilenameMap[f]);
+    const toDelete = onlyFiles ? [] : dbGames.filter((g) => !diskFiles.includes(g.filename));
+
+    const updateReasons = {};
+    dbGames.forEach((g) => {
+        if (!diskFiles.includes(g.filename)) return;
+        if (onlyFiles && !onlyFiles.has(g.filename)) return;
+        // 只重试未匹配 (抓取状态为 unmatched / error，或没有简介) 的游戏，已匹配游戏缺的图片等不在此列
+        if (syncOps.unmatchedOnly && !isUnmatched(g)) return;
+        const missing = syncOps.incremental === false ? ['full'] : getMissingParts(g, syncOps);
+        if (missing.length > 0) updateReasons[g.filename] = missing;
+    });
 
-    const toUpdate = dbGames
-        .filter((g) => {
-            if (!diskFiles.includes(g.filename)) return false;
-            if (globalStatus.isStopping) return false;
+    return { dbGames, dbFilenameMap, toAdd, toDelete, toUpdate: Object.keys(updateReasons), updateReasons };
+}
 
-            if (syncOps.incremental === false) {
-                return true;
-            }
+// === 预演模式：返回完整同步计划，供前端确认后再真正执行 ===
+async function previewSystemSync (system, options) {
+    const syncOps = resolveSyncOptions(options);
+    const plan = await buildSyncPlan(system, syncOps);
+
+    // 以“删除之后仍保留的游戏”为准推算冗余媒体；重刮后新下载的文件无法预知
+    const deletedIds = new Set(plan.toDelete.map((g) => g.id));
+    const keptRows = plan.dbGames.filter((g) => !deletedIds.has(g.id));
+    const keptPaths = await mediaTrash.getKeptPaths(system).catch(() => []);
+    const orphanedMedia = findOrphanedMedia(system, keptRows, keptPaths).map((m) => `${m.folder}/${m.file}`);
+
+    return {
+        system,
+        options: syncOps,
+        toAdd: plan.toAdd,
+        toDelete: plan.toDelete.map((g) => ({ filename: g.filename, name: g.name })),
+        toUpdate: plan.toUpdate.map((filename) => ({ filename, reasons: plan.updateReasons[filename] })),
+        orphanedMedia
+    };
+}
 
-            const missingInfo = syncOps.syncInfo && (!g.desc || g.desc === '暂无简介');
+// === 核心：执行系统同步 ===
+async function processSystemSync (system, options, jobId = null) {
+    ensureMediaTable();
+    globalStatus.runningSystem = system;
+    globalStatus.currentJobId = jobId;
+    globalStatus.isStopping = false;
+    globalStatus.progress = { current: 0, total: 0 };
 
-            let missingImg = syncOps.syncImages && !g.image_path;
-            if (!missingImg && syncOps.syncImages && g.image_path) {
-                const fullPath = path.join(config.mediaDir, g.image_path);
-                if (!fs.existsSync(fullPath) || fs.statSync(fullPath).size === 0) missingImg = true;
-            }
+    for (const key in dirCache) delete dirCache[key];
+    addLog('准备开始同步...', system);
+    emitStatus();
 
-            let missingVid = syncOps.syncVideo && !g.video_path;
-            if (!missingVid && syncOps.syncVideo && g.video_path) {
-                const fullPath = path.join(config.mediaDir, g.video_path);
-                if (!fs.existsSync(fullPath) || fs.statSync(fullPath).size === 0) missingVid = true;
-            }
+    const sysConfig = loadSystemConfig();
+    const sysInfo = sysConfig[system.toLowerCase()] || {};
+    const syncOps = resolveSyncOptions(options);
 
-            let missingMarquee = false;
-            if (syncOps.syncMarquees) {
-                const targetPath = g.marquee_path ? path.join(config.mediaDir, g.marquee_path) : '';
-                if (!targetPath || !fs.existsSync(targetPath) || fs.statSync(targetPath).size === 0) {
-                    missingMarquee = true;
-                }
-            }
+    if (sysInfo.scraper_id) addLog(`Scraper ID: ${sysInfo.scraper_id}`, system);
+    addLog(`抓取源顺序: ${providers.getProviderOrder(sysInfo).join(' -> ')}`, system);
+    await configureWorkerPool();
 
-            let missingBoxArt = false;
-            if (syncOps.syncBoxArt) {
-                const targetPath = g.box_texture_path ? path.join(config.mediaDir, g.box_texture_path) : '';
-                if (!targetPath || !fs.existsSync(targetPath) || fs.statSync(targetPath).size === 0) {
-                    missingBoxArt = true;
-                }
-            }
+    let plan;
+    try {
+        plan = await buildSyncPlan(system, syncOps);
+    } catch (e) {
+        addLog(`读取目录失败: ${e.message}`, system, { level: 'error' });
+        finishCurrentSystem('failed', e.message);
+        return;
+    }
+    jobStore.markJobRunning(jobId);
+    emitEvent('job', { phase: 'start', jobId, kind: 'system', system });
+    const { dbFilenameMap } = plan;
+
+    // 续跑：子任务在上次运行时已登记 (删除也已执行)，只处理剩下的文件
+    const resumed = jobId ? await jobStore.getUnfinishedTasks(jobId) : { total: 0 };
+    let taskList;
+    let totalCount;
+    let completedCount = 0;
+
+    if (resumed.total > 0) {
+        taskList = resumed.pending;
+        totalCount = resumed.total;
+        completedCount = resumed.done;
+        addLog(`续跑同步任务 #${jobId}: 已完成 ${completedCount}/${totalCount}`, system);
+    } else {
+        const { toAdd, toDelete } = plan;
+        const toUpdate = globalStatus.isStopping ? [] : plan.toUpdate;
 
-            return missingInfo || missingImg || missingVid || missingMarquee || missingBoxArt;
-        })
-        .map((g) => g.filename);
-
-    addLog(
-        `新增 ${toAdd.length}, 删除 ${toDelete.length}, 更新 ${toUpdate.length} (增量: ${syncOps.incremental})`,
-        system
-    );
-
-    if (toDelete.length > 0) {
-        db.serialize(() => {
-            db.run('BEGIN TRANSACTION');
-            const deleteStmt = db.prepare('DELETE FROM games WHERE id = ?');
-            toDelete.forEach((game) => {
-                deleteStmt.run(game.id);
+        addLog(
+            `新增 ${toAdd.length}, 删除 ${toDelete.length}, 更新 ${toUpdate.length} (增量: ${syncOps.incremental})`,
+            system
+        );
+
+        if (toDelete.length > 0) {
+            romHash.forgetFiles(toDelete.map((game) => game.path));
+            // 每条语句都带回调：出错只记日志，不会因未处理的 error 事件让进程退出
+            const logDbError = (err) => {
+                if (err) addLog(`删除失效记录失败: ${err.message}`, system, { level: 'error' });
+            };
+            db.serialize(() => {
+                db.run('BEGIN TRANSACTION', logDbError);
+                const deleteStmt = db.prepare('DELETE FROM games WHERE id = ?');
+                toDelete.forEach((game) => {
+                    deleteStmt.run(game.id, logDbError);
+                });
+                deleteStmt.finalize();
+                db.run('COMMIT', logDbError);
             });
-            deleteStmt.finalize();
-            db.run('COMMIT');
-        });
-    }
+        }
 
-    const taskList = Array.from(new Set([...toAdd, ...toUpdate]));
+        taskList = Array.from(new Set([...toAdd, ...toUpdate]));
+        totalCount = taskList.length;
+        await jobStore.addTasks(jobId, taskList);
+    }
 
     if (taskList.length === 0) {
         addLog('文件无变化，检查冗余资源...', system);
@@ -302,36 +525,42 @@ async function processSystemSync (system, options) {
         return;
     }
 
-    globalStatus.progress.total = taskList.length;
-    let completedCount = 0;
+    globalStatus.progress = { current: completedCount, total: totalCount };
+    emitProgress(system);
 
     taskList.forEach((filename) => {
-        fileQueue.add(async () => {
+        const runTask = async () => {
             if (globalStatus.isStopping) {
                 completedCount++;
-                checkFinish(completedCount, taskList.length);
+                checkFinish(completedCount, totalCount);
                 return;
             }
+            await jobStore.setTaskStatus(jobId, filename, 'running');
+            const oldData = dbFilenameMap[filename] || null;
             try {
-                const oldData = dbFilenameMap[filename] || null;
-                if (oldData) {
-                    await new Promise((resolve) => {
-                        db.run('DELETE FROM games WHERE system = ? AND filename = ?', [system, filename], (err) => {
-                            if (err) console.error(err);
-                            resolve();
-                        });
-                    });
-                }
-                await processNewGame(system, filename, oldData, syncOps, scraperId);
+                await processNewGame(system, filename, oldData, syncOps, sysInfo);
+                await jobStore.setTaskStatus(jobId, filename, 'done');
                 completedCount++;
                 globalStatus.progress.current = completedCount;
-                checkFinish(completedCount, taskList.length);
+                emitProgress(system, filename);
+                checkFinish(completedCount, totalCount);
             } catch (e) {
-                addLog(`处理失败: ${filename} - ${e.message}`, system);
+                // 额度用尽：记录未改动 (入库前即抛出)，放回队首，队列暂停到恢复时间后再重试
+                if (e instanceof scraper.ScraperQuotaError) {
+                    await jobStore.setTaskStatus(jobId, filename, 'pending');
+                    fileQueue.pause(e.resumeAt);
+                    fileQueue.requeue(runTask);
+                    return;
+                }
+                addLog(`处理失败: ${filename} - ${e.message}`, system, { level: 'error', filename });
+                await jobStore.setTaskStatus(jobId, filename, 'failed', e.message);
                 completedCount++;
-                checkFinish(completedCount, taskList.length);
+                globalStatus.progress.current = completedCount;
+                emitProgress(system, filename);
+                checkFinish(completedCount, totalCount);
             }
-        });
+        };
+        fileQueue.add(runTask);
     });
 }
 
@@ -350,17 +579,9 @@ function checkFinish (current, total) {
     }
 }
 
-async function cleanOrphanedMedia (system) {
-    const sql =
-        'SELECT image_path, video_path, marquee_path, box_texture_path, screenshot_path FROM games WHERE system = ?';
-    const rows = await new Promise((resolve) => {
-        db.all(sql, [system], (err, r) => {
-            if (err) console.error('Clean query error:', err);
-            resolve(r || []);
-        });
-    });
-
-    const validPaths = new Set();
+// 找出媒体目录中不再被 rows 引用的文件；keptPaths 为从回收站恢复、需要保留的文件 (media_keep)
+function findOrphanedMedia (system, rows, keptPaths = []) {
+    const validPaths = new Set(keptPaths.map((p) => path.normalize(p).toLowerCase()));
     rows.forEach((row) => {
         if (row.image_path) validPaths.add(path.normalize(row.image_path).toLowerCase());
         if (row.video_path) validPaths.add(path.normalize(row.video_path).toLowerCase());
@@ -370,6 +591,7 @@ async function cleanOrphanedMedia (system) {
     });
 
     const folders = ['covers', 'videos', 'marquees', 'boxtextures', 'screenshots'];
+    const orphans = [];
 
     for (const folder of folders) {
         const dirPath = path.join(config.mediaDir, system, folder);
@@ -379,19 +601,37 @@ async function cleanOrphanedMedia (system) {
         for (const file of files) {
             if (file.startsWith('.')) continue;
 
-            const fullPath = path.join(dirPath, file);
             const dbStylePath = path.join(system, folder, file).toLowerCase();
-
             if (!validPaths.has(path.normalize(dbStylePath))) {
-                try {
-                    fs.unlinkSync(fullPath);
-                    addLog(`🗑️ 清理冗余资源: ${folder}/${file}`, system);
-                } catch (e) {
-                    console.error(`删除失败: ${file}`, e.message);
-                }
+                orphans.push({ folder, file, fullPath: path.join(dirPath, file) });
             }
         }
     }
+    return orphans;
+}
+
+async function cleanOrphanedMedia (system) {
+    const sql =
+        'SELECT image_path, video_path, marquee_path, box_texture_path, screenshot_path FROM games WHERE system = ?';
+    const rows = await new Promise((resolve) => {
+        db.all(sql, [system], (err, r) => {
+            if (err) console.error('Clean query error:', err);
+            resolve(r || []);
+        });
+    });
+
+    const keptPaths = await mediaTrash.getKeptPaths(system).catch(() => []);
+    for (const { folder, file } of findOrphanedMedia(system, rows, keptPaths)) {
+        try {
+            const trashId = mediaTrash.quarantine(system, folder, file);
+            addLog(`🗑️ 冗余资源移入回收站: ${folder}/${file} -> .trash/${trashId}`, system);
+        } catch (e) {
+            console.error(`移入回收站失败: ${file}`, e.message);
+        }
+    }
+
+    const purged = mediaTrash.purgeExpired();
+    if (purged > 0) addLog(`回收站已清除 ${purged} 个过期目录`, system);
 
     await cleanDeadMediaLinks(system);
 }
@@ -427,17 +667,24 @@ async function cleanDeadMediaLinks (system) {
     }
 }
 
-function finishCurrentSystem () {
+function finishCurrentSystem (status = 'done', message = null) {
+    jobStore.finishJob(globalStatus.currentJobId, status, message);
+    if (globalStatus.runningSystem) {
+        emitEvent('job', {
+            phase: 'finish',
+            jobId: globalStatus.currentJobId,
+            kind: 'system',
+            system: globalStatus.runningSystem,
+            status: globalStatus.isStopping ? 'stopped' : status
+        });
+    }
     globalStatus.runningSystem = null;
+    globalStatus.currentJobId = null;
+    emitStatus();
     if (globalStatus.pendingQueue.length > 0 && !globalStatus.isStopping) {
         const nextTask = globalStatus.pendingQueue.shift();
         addLog(`自动启动下一个任务: ${nextTask.system}`, 'Queue');
-        setTimeout(() => {
-            processSystemSync(nextTask.system, nextTask.options).catch((e) => {
-                console.error(e);
-                finishCurrentSystem();
-            });
-        }, 1000);
+        setTimeout(() => runSystemJob(nextTask.system, nextTask.options, nextTask.jobId), 1000);
     } else {
         if (globalStatus.isStopping) {
             addLog('同步队列已强制清空并停止', 'Global');
@@ -454,11 +701,24 @@ function stopSync () {
         const pendingCount = globalStatus.pendingQueue.length;
         globalStatus.pendingQueue = [];
         fileQueue.clear();
-        addLog(`中止指令生效。丢弃等待队列(${pendingCount})，正在停止当前任务...`, 'Global');
+        jobStore.stopAllJobs();
+        addLog(`中止指令生效。丢弃等待队列(${pendingCount})，正在停止当前任务...`, 'Global', { level: 'warn' });
+        emitStatus();
         setTimeout(() => {
+            if (globalStatus.runningSystem) {
+                emitEvent('job', {
+                    phase: 'finish',
+                    jobId: globalStatus.currentJobId,
+                    kind: 'system',
+                    system: globalStatus.runningSystem,
+                    status: 'stopped'
+                });
+            }
             globalStatus.runningSystem = null;
+            globalStatus.currentJobId = null;
             globalStatus.isStopping = false;
             addLog('已完全停止', 'Global');
+            emitStatus();
         }, 500);
     }
 }
@@ -511,7 +771,7 @@ function loadSystemConfig () {
     return systemsConfig;
 }
 
-async function processNewGame (system, filename, oldData = null, options = {}, scraperId = null) {
+async function processNewGame (system, filename, oldData = null, options = {}, sysInfo = {}) {
     const romPath = path.join(system, filename).replace(/\\/g, '/');
     const fullPath = path.join(config.romsDir, system, filename);
     const basename = path.basename(filename, path.extname(filename));
@@ -542,15 +802,49 @@ async function processNewGame (system, filename, oldData = null, options = {}, s
         if (oldData.screenshot_path) screenshotPath = verifyMediaPath(oldData.screenshot_path) || screenshotPath;
     }
 
+    // 预先计算并缓存校验值 (rom_files)，之后的抓取与 DAT 校验直接复用
+    try {
+        const stat = fs.statSync(fullPath);
+        if (stat.isFile() && stat.size <= romHash.PREHASH_LIMIT) await romHash.getFileHashes(fullPath);
+    } catch (e) {
+        addLog(`计算校验值失败: ${e.message}`, system, { level: 'warn', filename });
+    }
+
+    // DAT 校验：沿用旧记录的结果，新文件或尚未校验过的文件才计算校验值
+    let verifyStatus = oldData?.verify_status || null;
+    let datName = oldData?.dat_name || null;
+    if (!verifyStatus) {
+        try {
+            const verified = await datVerifier.verifyRom(system, filename, fullPath);
+            if (verified) {
+                verifyStatus = verified.status;
+                datName = verified.datName;
+            }
+        } catch (e) {
+            addLog(`DAT 校验失败: ${e.message}`, system, { level: 'warn', filename });
+        }
+    }
+
+    // 多光盘：(Disc 1) / (Disc 2) ... 归为一套，默认名去掉光盘标记
+    const disc = discSets.parseDisc(filename);
+    const discSet = disc ? discSets.getSetKey(system, filename) : null;
+
     const gameInfo = {
-        name: oldData?.name || basename,
+        // 抓取之前，DAT 条目名 (去掉区域标签) 比文件名更可信
+        name: oldData?.name || datVerifier.cleanDatName(datName) || (discSet ? disc.title : basename),
         desc: oldData?.desc || '暂无简介',
         rating: oldData?.rating || '0',
         developer: oldData?.developer || '',
         publisher: oldData?.publisher || '',
         genre: oldData?.genre || '',
-        players: oldData?.players || ''
+        players: oldData?.players || '',
+        releasedate: oldData?.releasedate || ''
     };
+    let scraperProvider = oldData?.scraper_provider || null;
+    let ssGameId = oldData?.ss_game_id || null;
+    let scrapeStatus = oldData?.scrape_status || null;
+    let scrapeError = oldData?.scrape_error || null;
+    let scrapedAt = oldData?.scraped_at || null;
 
     const shouldScrape =
         options.syncInfo ||
@@ -561,15 +855,29 @@ async function processNewGame (system, filename, oldData = null, options = {}, s
         !oldData;
 
     if (shouldScrape) {
-        addLog(`处理: ${filename}`, system);
+        addLog(`处理: ${filename}`, system, { filename });
+        scrapedAt = new Date().toISOString();
+        scrapeStatus = 'unmatched';
+        scrapeError = null;
         try {
-            const scraperData = await scraper.fetchGameInfo(system, filename, fullPath, scraperId, (msg) =>
-                addLog(msg, system)
-            );
+            const scraperData = await providers.fetchGameInfo({
+                system,
+                filename,
+                fullPath,
+                sysInfo,
+                ssGameId,
+                logger: (msg) => addLog(msg, system, { level: 'warn', filename })
+            });
 
             if (scraperData) {
-                addLog(`匹配成功: ${scraperData.name}`, system);
-                if (options.syncInfo) Object.assign(gameInfo, scraperData);
+                addLog(`匹配成功 [${scraperData.provider}]: ${scraperData.name}`, system, { filename });
+                if (scraperData.ssGameId) ssGameId = scraperData.ssGameId;
+                scrapeStatus = scraperData.matchedBy || scraperData.provider;
+                if (options.syncInfo) {
+                    Object.assign(gameInfo, scraperData);
+                    gameMetadata.applyLockedFields(gameInfo, oldData);
+                    scraperProvider = scraperData.provider;
+                }
 
                 const safeName = scraperData.name.replace(/[\\/:*?"<>|]/g, '-').trim();
                 const overwrite = options.overwrite === true;
@@ -684,7 +992,9 @@ async function processNewGame (system, filename, oldData = null, options = {}, s
                         await downloadMedia(url, system, type, fileName, overwrite);
                         return dbPath;
                     } catch (e) {
-                        addLog(`❌ 下载 ${type} 失败: ${e.message}`, system);
+                        // 额度用尽：整个游戏放回队首，恢复后重新下载 (已下载的媒体会直接复用)
+                        if (e instanceof scraper.ScraperQuotaError) throw e;
+                        addLog(`❌ 下载 ${type} 失败: ${e.message}`, system, { level: 'error', filename });
                         return null;
                     }
                 };
@@ -757,17 +1067,35 @@ async function processNewGame (system, filename, oldData = null, options = {}, s
                 }
             }
         } catch (e) {
-            addLog(`抓取跳过: ${e.message}`, system);
+            if (e instanceof scraper.ScraperQuotaError) throw e;
+            addLog(`抓取跳过: ${e.message}`, system, { level: 'warn', filename });
+            if (scrapeStatus === 'unmatched') {
+                scrapeStatus = 'error';
+                scrapeError = e.message;
+            }
         }
     }
 
-    return new Promise((resolve) => {
+    await new Promise((resolve) => {
         db.run(
             `INSERT INTO games (
                 path, system, filename, name, 
                 image_path, video_path, marquee_path, box_texture_path, screenshot_path,
-                desc, rating, developer, publisher, genre, players
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                desc, rating, releasedate, developer, publisher, genre, players, scraper_provider,
+                verify_status, dat_name, disc_set, disc_number, folder, locked_fields, ss_game_id,
+                scrape_status, scrape_error, scraped_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(path) DO UPDATE SET
+                system = excluded.system, filename = excluded.filename, name = excluded.name,
+                image_path = excluded.image_path, video_path = excluded.video_path, marquee_path = excluded.marquee_path,
+                box_texture_path = excluded.box_texture_path, screenshot_path = excluded.screenshot_path,
+                desc = excluded.desc, rating = excluded.rating, releasedate = excluded.releasedate,
+                developer = excluded.developer, publisher = excluded.publisher, genre = excluded.genre,
+                players = excluded.players, scraper_provider = excluded.scraper_provider,
+                verify_status = excluded.verify_status, dat_name = excluded.dat_name,
+                disc_set = excluded.disc_set, disc_number = excluded.disc_number, folder = excluded.folder,
+                ss_game_id = COALESCE(excluded.ss_game_id, games.ss_game_id),
+                scrape_status = excluded.scrape_status, scrape_error = excluded.scrape_error, scraped_at = excluded.scraped_at`,
             [
                 romPath,
                 system,
@@ -780,10 +1108,22 @@ async function processNewGame (system, filename, oldData = null, options = {}, s
                 screenshotPath,
                 gameInfo.desc,
                 gameInfo.rating,
+                gameInfo.releasedate,
                 gameInfo.developer,
                 gameInfo.publisher,
                 gameInfo.genre,
-                gameInfo.players
+                gameInfo.players,
+                scraperProvider,
+                verifyStatus,
+                datName,
+                discSet,
+                discSet ? disc.number : null,
+                romDiscovery.getRomFolder(filename),
+                oldData?.locked_fields || '[]',
+                ssGameId,
+                scrapeStatus,
+                scrapeError,
+                scrapedAt
             ],
             (err) => {
                 if (err) console.error('[Scanner] Insert Game Error:', err);
@@ -791,6 +1131,38 @@ async function processNewGame (system, filename, oldData = null, options = {}, s
             }
         );
     });
+
+    if (discSet) await linkDiscSet(system, discSet, discSets.findSetMembers(system, filename));
+}
+
+// 同一套光盘统一 disc_set 与游戏名 (手动锁定的名称优先，其次以已入库的最小盘号为准)，保证列表中合并为一个游戏
+async function linkDiscSet (system, discSet, members) {
+    const placeholders = members.map(() => '?').join(', ');
+    const rows = await new Promise((resolve) => {
+        db.all(
+            `SELECT filename, name, locked_fields FROM games WHERE system = ? AND filename IN (${placeholders})`,
+            [system, ...members],
+            (err, rows) => {
+                if (err) console.error('[Scanner] 查询多光盘成员失败:', err.message);
+                resolve(rows || []);
+            }
+        );
+    });
+    if (rows.length < 2) return;
+
+    const ordered = members.map((f) => rows.find((r) => r.filename === f)).filter(Boolean);
+    const first =
+        ordered.find((r) => gameMetadata.parseLockedFields(r.locked_fields).includes('name')) || ordered[0];
+    await new Promise((resolve) => {
+        db.run(
+            `UPDATE games SET disc_set = ?, name = ? WHERE system = ? AND filename IN (${placeholders})`,
+            [discSet, first.name, system, ...members],
+            (err) => {
+                if (err) console.error('[Scanner] 关联多光盘失败:', err.message);
+                resolve();
+            }
+        );
+    });
 }
 
 async function downloadMedia (url, system, type, filename, overwrite = false) {
@@ -829,8 +1201,14 @@ async function downloadMedia (url, system, type, filename, overwrite = false) {
         }
     }
 
-    addLog(`⬇️ 下载 ${type}: ${filename}`, system);
-    await scraper.downloadFile(url, target);
+    if (url.startsWith('file://')) {
+        // 本地抓取源 (如 gamelist.xml) 引用的媒体直接复制进媒体库
+        addLog(`📥 导入本地 ${type}: ${filename}`, system);
+        await fs.copy(fileURLToPath(url), target);
+    } else {
+        addLog(`⬇️ 下载 ${type}: ${filename}`, system);
+        await scraper.downloadFile(url, target);
+    }
 
     if (fs.existsSync(target)) {
         const relPath = path.relative(config.mediaDir, target).replace(/\\/g, '/');
@@ -848,7 +1226,7 @@ async function startScan () {
         systems = fs.readdirSync(config.romsDir).filter((file) => {
             const full = path.join(config.romsDir, file);
             return (
-                fs.statSync(full).isDirectory() && !file.startsWith('.') && !IGNORE_DIRS.includes(file.toLowerCase())
+                fs.statSync(full).isDirectory() && !file.startsWith('.') && !romDiscovery.IGNORE_DIRS.includes(file.toLowerCase())
             );
         });
         console.log(`检测到 ${systems.length} 个主机目录`);
@@ -867,5 +1245,15 @@ module.exports = {
     addToSyncQueue,
     stopSync,
     getGlobalStatus: () => globalStatus,
-    syncSingleGame
+    getStatusSnapshot,
+    syncEvents,
+    syncSingleGame,
+    addSingleGame,
+    removeSingleGame,
+    cleanOrphanedMedia,
+    isSystemBusy,
+    loadSystemConfig,
+    previewSystemSync,
+    resumeUnfinishedJobs,
+    addLog
 };
@@ -0,0 +1,195 @@
+/**
+ * scheduler.js
+ * 定时同步：按 sync_schedules 表中的 cron 表达式，定时把主机同步任务交给 scanner.addToSyncQueue
+ * * 说明：
+ * 1. 进程内调度，每分钟整点检查一次；服务停机期间错过的触发不补跑。
+ * 2. systems 为空数组时表示 romsDir 下的全部主机；主机已在同步或排队中时排到其后再执行 (等待队列中已有相同选项的任务则复用)，
+ *    结果写入 last_message。
+ * 3. options 与同步接口参数相同，例如 { incremental: true } 为增量同步，{ unmatchedOnly: true } 只重试未匹配的游戏。
+ */
+const db = require('../db/database');
+const cron = require('../utils/cron');
+const romDiscovery = require('../utils/romDiscovery');
+const scanner = require('./scanner');
+
+let timer = null;
+
+function parseJson (text, fallback) {
+    try {
+        return JSON.parse(text) ?? fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+// 数据库行 -> 接口对象，附带下次触发时间
+function toSchedule (row) {
+    let nextRunAt = null;
+    try {
+        const next = row.enabled ? cron.nextRun(cron.parse(row.cron)) : null;
+        nextRunAt = next ? next.toISOString() : null;
+    } catch (e) {}
+    return {
+        ...row,
+        enabled: !!row.enabled,
+        systems: parseJson(row.systems, []),
+        options: parseJson(row.options, {}),
+        next_run_at: nextRunAt
+    };
+}
+
+function listSchedules () {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM sync_schedules ORDER BY id ASC', (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows.map(toSchedule));
+        });
+    });
+}
+
+function getSchedule (id) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT * FROM sync_schedules WHERE id = ?', [id], (err, row) => {
+            if (err) return reject(err);
+            resolve(row ? toSchedule(row) : null);
+        });
+    });
+}
+
+// 校验并规范化接口传入的字段，出错时抛出 Error (message 直接返回给前端)
+function normalizeInput (input, current = {}) {
+    const data = { ...current, ...input };
+    const name = String(data.name || '').trim();
+    if (!name) throw new Error('Schedule name is required');
+    if (!cron.isValid(data.cron)) throw new Error('Invalid cron expression');
+
+    const systems = Array.isArray(data.systems) ? data.systems.filter((s) => typeof s === 'string' && s) : [];
+    const options = data.options && typeof data.options === 'object' ? data.options : {};
+    return {
+        name,
+        cron: String(data.cron).trim(),
+        systems: JSON.stringify(systems),
+        options: JSON.stringify(options),
+        enabled: data.enabled === false ? 0 : 1
+    };
+}
+
+function createSchedule (input) {
+    const data = normalizeInput(input);
+    return new Promise((resolve, reject) => {
+        db.run(
+            'INSERT INTO sync_schedules (name, cron, systems, options, enabled) VALUES (?, ?, ?, ?, ?)',
+            [data.name, data.cron, data.systems, data.options, data.enabled],
+            function (err) {
+                if (err) return reject(err);
+                resolve(getSchedule(this.lastID));
+            }
+        );
+    });
+}
+
+// 部分更新：未传的字段沿用原值；记录不存在时返回 null
+async function updateSchedule (id, input) {
+    const current = await getSchedule(id);
+    if (!current) return null;
+    const data = normalizeInput(input, current);
+    return new Promise((resolve, reject) => {
+        db.run(
+            'UPDATE sync_schedules SET name = ?, cron = ?, systems = ?, options = ?, enabled = ? WHERE id = ?',
+            [data.name, data.cron, data.systems, data.options, data.enabled, id],
+            (err) => {
+                if (err) return reject(err);
+                resolve(getSchedule(id));
+            }
+        );
+    });
+}
+
+function deleteSchedule (id) {
+    return new Promise((resolve, reject) => {
+        db.run('DELETE FROM sync_schedules WHERE id = ?', [id], function (err) {
+            if (err) return reject(err);
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+// 执行一次：逐个主机加入同步队列，返回结果摘要
+async function runSchedule (schedule) {
+    const systems = schedule.systems.length ? schedule.systems : romDiscovery.listSystems();
+    const queued = [];
+    const deferred = [];
+    const skipped = [];
+    for (const system of systems) {
+        const result = await scanner.addToSyncQueue(system, schedule.options, { whenBusy: 'queue' });
+        if (!result.success) skipped.push(`${system} (${result.message})`);
+        else if (result.deferred || result.merged) deferred.push(system);
+        else queued.push(system);
+    }
+
+    let message = `已加入队列 ${queued.length + deferred.length} 个主机`;
+    if (deferred.length) message += `，其中 ${deferred.join(', ')} 正在同步或排队，将在其后执行`;
+    if (skipped.length) message += `，跳过: ${skipped.join(', ')}`;
+    scanner.addLog(`定时任务「${schedule.name}」: ${message}`, 'Scheduler');
+    await new Promise((resolve) => {
+        db.run(
+            'UPDATE sync_schedules SET last_run_at = CURRENT_TIMESTAMP, last_message = ? WHERE id = ?',
+            [message, schedule.id],
+            (err) => {
+                if (err) console.error('[Scheduler] 更新执行记录失败:', err.message);
+                resolve();
+            }
+        );
+    });
+    return { queued, deferred, skipped, message };
+}
+
+async function tick () {
+    const now = new Date();
+    let schedules = [];
+    try {
+        schedules = await listSchedules();
+    } catch (e) {
+        console.error('[Scheduler] 读取定时任务失败:', e.message);
+        return;
+    }
+
+    for (const schedule of schedules) {
+        if (!schedule.enabled) continue;
+        try {
+            if (cron.matches(cron.parse(schedule.cron), now)) await runSchedule(schedule);
+        } catch (e) {
+            console.error(`[Scheduler] 定时任务 #${schedule.id} 执行失败:`, e.message);
+        }
+    }
+}
+
+// 对齐到下一分钟的第 1 秒再检查，避免 setInterval 漂移导致跳过或重复触发
+function scheduleNextTick () {
+    const now = new Date();
+    const delay = 60000 - now.getSeconds() * 1000 - now.getMilliseconds() + 1000;
+    timer = setTimeout(() => {
+        tick().finally(scheduleNextTick);
+    }, delay);
+}
+
+function start () {
+    if (timer) return;
+    scheduleNextTick();
+}
+
+function stop () {
+    if (timer) clearTimeout(timer);
+    timer = null;
+}
+
+module.exports = {
+    start,
+    stop,
+    listSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    runSchedule
+};
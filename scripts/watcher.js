@@ -0,0 +1,193 @@
+/**
+ * watcher.js
+ * ROM 目录监听：romsDir 下有文件增删时，按主机防抖，只对变化的文件做入库 / 删除，不必整体同步
+ * * 说明：
+ * 1. 默认用 fs.watch 递归监听；网络共享 (NFS / SMB) 上文件事件不可靠，可开启 usePolling 改为定时比对。
+ * 2. 变化按主机合并：防抖结束后用 romDiscovery 列出磁盘上的 ROM 与 games 表比对，
+ *    新文件交给 scanner.addSingleGame 入库 (不覆盖同名游戏已有的媒体)，已消失的文件交给 scanner.removeSingleGame 删除记录；
+ *    一批变化全部处理完后统一清理一次冗余资源。
+ * 3. 修改时间仍在防抖窗口内的文件视为正在拷贝，先跳过，稍后再检查。
+ * 4. 主机正在整体同步、或从未同步过 (库中没有记录) 时不做处理，首次入库仍需手动同步整个主机。
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const db = require('../db/database');
+const scanner = require('./scanner');
+const romDiscovery = require('../utils/romDiscovery');
+
+const DEFAULT_OPTIONS = { enabled: false, usePolling: false, pollInterval: 60, debounce: 10 };
+
+const timers = {}; // system -> 防抖定时器
+const reconciling = new Set();
+const pendingAdds = new Set(); // "system/filename"：已交给队列、尚未入库完成的文件
+let fsWatcher = null;
+let pollTimer = null;
+
+function getOptions () {
+    return { ...DEFAULT_OPTIONS, ...(config.romWatcher || {}) };
+}
+
+function log (message, system = 'Watcher', level = 'info') {
+    scanner.addLog(message, system, { level });
+}
+
+function getDbFilenames (system) {
+    return new Promise((resolve) => {
+        db.all('SELECT filename FROM games WHERE system = ?', [system], (err, rows) => {
+            if (err) console.error('[Watcher] 查询游戏记录失败:', err.message);
+            resolve((rows || []).map((r) => r.filename));
+        });
+    });
+}
+
+// 最近仍有写入的文件 (大文件拷贝中)
+function isSettling (system, filename, windowMs) {
+    try {
+        return Date.now() - fs.statSync(path.join(config.romsDir, system, filename)).mtimeMs < windowMs;
+    } catch (e) {
+        return true;
+    }
+}
+
+function schedule (system, delay = getOptions().debounce * 1000) {
+    if (timers[system]) clearTimeout(timers[system]);
+    timers[system] = setTimeout(() => {
+        delete timers[system];
+        reconcileSystem(system).catch((e) => console.error(`[Watcher] ${system} 比对失败:`, e));
+    }, delay);
+}
+
+// 比对磁盘与数据库，逐文件增删
+async function reconcileSystem (system) {
+    const options = getOptions();
+    if (reconciling.has(system) || scanner.isSystemBusy(system)) {
+        schedule(system);
+        return;
+    }
+
+    reconciling.add(system);
+    try {
+        const dbFiles = await getDbFilenames(system);
+        if (!dbFiles.length) return;
+
+        const sysInfo = scanner.loadSystemConfig()[system.toLowerCase()] || {};
+        let diskFiles;
+        try {
+            diskFiles = romDiscovery.listRomFiles(system, sysInfo);
+        } catch (e) {
+            return; // 主机目录被整体删除 / 改名，由 /api/systems 的失效主机清理处理
+        }
+
+        const dbSet = new Set(dbFiles);
+        const diskSet = new Set(diskFiles);
+        let deferred = false;
+        const toAdd = diskFiles.filter((f) => {
+            if (dbSet.has(f) || pendingAdds.has(`${system}/${f}`)) return false;
+            if (isSettling(system, f, options.debounce * 1000)) {
+                deferred = true;
+                return false;
+            }
+            return true;
+        });
+        const toRemove = dbFiles.filter((f) => !diskSet.has(f));
+
+        if (toAdd.length || toRemove.length) {
+            log(`检测到文件变化: 新增 ${toAdd.length}, 移除 ${toRemove.length}`, system);
+        }
+        for (const filename of toRemove) await scanner.removeSingleGame(system, filename);
+        const adds = toAdd.map((filename) => {
+            const key = `${system}/${filename}`;
+            pendingAdds.add(key);
+            return scanner
+                .addSingleGame(system, filename, options.syncOptions || null)
+                .catch((e) => {
+                    log(`自动入库失败: ${filename} - ${e.message}`, system, 'warn');
+                    // 多半是抓取额度暂停，过一个轮询周期再试
+                    schedule(system, options.pollInterval * 1000);
+                })
+                .finally(() => pendingAdds.delete(key));
+        });
+        if (toAdd.length || toRemove.length) {
+            Promise.all(adds)
+                .then(() => cleanupMedia(system))
+                .catch((e) => console.error(`[Watcher] ${system} 清理冗余资源失败:`, e));
+        }
+        if (deferred) schedule(system);
+    } finally {
+        reconciling.delete(system);
+    }
+}
+
+// 一批增删处理完后清理一次冗余资源；主机正在整体同步时跳过 (整体同步结束时会清理)
+async function cleanupMedia (system) {
+    if (scanner.isSystemBusy(system)) return;
+    await scanner.cleanOrphanedMedia(system);
+}
+
+function reconcileAll () {
+    romDiscovery.listSystems().forEach((system) => schedule(system, 0));
+}
+
+// fs.watch 回调：文件名形如 "nes/Hacks/Game.nes"，资源目录与隐藏文件的变化忽略
+function onFsEvent (eventType, filename) {
+    if (!filename) return reconcileAll();
+    const parts = filename.toString().split(/[\\/]/);
+    if (parts.slice(0, -1).some((p) => p.startsWith('.') || romDiscovery.IGNORE_DIRS.includes(p.toLowerCase()))) return;
+    if (parts.length === 1 && !fs.existsSync(path.join(config.romsDir, parts[0]))) return;
+    schedule(parts[0]);
+}
+
+function startPolling (interval) {
+    pollTimer = setInterval(reconcileAll, interval * 1000);
+    log(`开始定时比对 ROM 目录 (每 ${interval} 秒)`);
+}
+
+function start () {
+    const options = getOptions();
+    if (!options.enabled || fsWatcher || pollTimer) return;
+    if (!fs.existsSync(config.romsDir)) {
+        log(`ROM 目录不存在，无法监听: ${config.romsDir}`, 'Watcher', 'warn');
+        return;
+    }
+
+    if (options.usePolling) {
+        startPolling(options.pollInterval);
+    } else {
+        try {
+            fsWatcher = fs.watch(config.romsDir, { recursive: true }, onFsEvent);
+            fsWatcher.on('error', (e) => {
+                log(`文件监听出错，改为定时比对: ${e.message}`, 'Watcher', 'warn');
+                fsWatcher.close();
+                fsWatcher = null;
+                startPolling(options.pollInterval);
+            });
+            log(`开始监听 ROM 目录: ${config.romsDir}`);
+        } catch (e) {
+            // 部分平台 / 旧版本 Node 不支持递归监听
+            log(`无法监听 ROM 目录 (${e.message})，改为定时比对`, 'Watcher', 'warn');
+            startPolling(options.pollInterval);
+        }
+    }
+
+    // 启动时先比对一次，补上服务停机期间拷贝进来的文件
+    reconcileAll();
+}
+
+function stop () {
+    if (fsWatcher) fsWatcher.close();
+    if (pollTimer) clearInterval(pollTimer);
+    fsWatcher = null;
+    pollTimer = null;
+    Object.keys(timers).forEach((system) => {
+        clearTimeout(timers[system]);
+        delete timers[system];
+    });
+}
+
+module.exports = {
+    start,
+    stop,
+    reconcileSystem,
+    isWatching: () => !!(fsWatcher || pollTimer)
+};
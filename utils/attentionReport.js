@@ -0,0 +1,96 @@
+/**
+ * attentionReport.js
+ * 待处理报告：按抓取状态与资料完整度，找出全库中需要人工关注的游戏
+ * * 说明：
+ * 1. 分类见 ATTENTION_TYPES：未匹配、抓取出错、缺封面 / 视频 / Logo、简介为占位文字。
+ * 2. 按 ROM 文件逐条列出 (不按游戏名合并)，批量重试时直接以 system + filename 交给同步队列。
+ * 3. 只看数据库记录，不检查媒体文件是否仍在磁盘上 (同步时会自动校验并补齐)。
+ */
+const db = require('../db/database');
+
+const ATTENTION_TYPES = {
+    unmatched: "scrape_status = 'unmatched'",
+    error: "scrape_status = 'error'",
+    no_cover: "COALESCE(image_path, '') = ''",
+    no_video: "COALESCE(video_path, '') = ''",
+    no_marquee: "COALESCE(marquee_path, '') = ''",
+    placeholder_desc: "(TRIM(COALESCE(desc, '')) = '' OR desc = '暂无简介')"
+};
+
+const ITEM_FIELDS =
+    'id, system, filename, name, scrape_status, scrape_error, scraped_at, scraper_provider, image_path, video_path, marquee_path';
+
+function isValidType (type) {
+    return Object.prototype.hasOwnProperty.call(ATTENTION_TYPES, type);
+}
+
+function buildWhere (type, system) {
+    const params = [];
+    let where = `WHERE ${ATTENTION_TYPES[type]}`;
+    if (system) {
+        where += ' AND system = ?';
+        params.push(system);
+    }
+    return { where, params };
+}
+
+// 各分类的数量：{ total: { unmatched, ... }, systems: [{ system, unmatched, ... }] }
+function getSummary () {
+    const counts = Object.entries(ATTENTION_TYPES)
+        .map(([type, cond]) => `SUM(CASE WHEN ${cond} THEN 1 ELSE 0 END) AS ${type}`)
+        .join(', ');
+    return new Promise((resolve, reject) => {
+        db.all(`SELECT system, COUNT(*) AS games, ${counts} FROM games GROUP BY system ORDER BY system`, (err, rows) => {
+            if (err) return reject(err);
+            const total = {};
+            Object.keys(ATTENTION_TYPES).forEach((type) => {
+                total[type] = rows.reduce((sum, row) => sum + (row[type] || 0), 0);
+            });
+            resolve({ total, systems: rows });
+        });
+    });
+}
+
+// 分页列出某一分类下的 ROM
+function listItems (type, { system = null, page = 1, pageSize = 50 } = {}) {
+    const { where, params } = buildWhere(type, system);
+    const limit = Math.min(Math.max(parseInt(pageSize) || 50, 1), 500);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+    return new Promise((resolve, reject) => {
+        db.get(`SELECT COUNT(*) AS total FROM games ${where}`, params, (err, row) => {
+            if (err) return reject(err);
+            db.all(
+                `SELECT ${ITEM_FIELDS} FROM games ${where} ORDER BY system, name COLLATE NOCASE, filename LIMIT ? OFFSET ?`,
+                [...params, limit, offset],
+                (err, rows) => {
+                    if (err) return reject(err);
+                    resolve({ total: row.total, page: offset / limit + 1, pageSize: limit, data: rows });
+                }
+            );
+        });
+    });
+}
+
+// 某一分类下的全部文件，按主机分组：{ system: [filename, ...] }
+function listFilesBySystem (type, system = null) {
+    const { where, params } = buildWhere(type, system);
+    return new Promise((resolve, reject) => {
+        db.all(`SELECT system, filename FROM games ${where}`, params, (err, rows) => {
+            if (err) return reject(err);
+            const groups = {};
+            rows.forEach((row) => {
+                if (!groups[row.system]) groups[row.system] = [];
+                groups[row.system].push(row.filename);
+            });
+            resolve(groups);
+        });
+    });
+}
+
+module.exports = {
+    ATTENTION_TYPES,
+    isValidType,
+    getSummary,
+    listItems,
+    listFilesBySystem
+};
@@ -0,0 +1,160 @@
+/**
+ * auth.js
+ * 负责用户密码哈希、会话 Cookie 管理以及接口权限校验
+ * * 说明：
+ * 1. 密码使用 Node 内置的 scrypt 加盐哈希，不引入额外依赖。
+ * 2. 会话令牌保存在 sessions 表中，浏览器只持有一个随机 token (HttpOnly Cookie)。
+ * 3. 角色分为 admin (可同步/管理用户) 与 player (仅浏览、游玩、存档)。
+ */
+const crypto = require('crypto');
+const db = require('../db/database');
+
+const SESSION_COOKIE = 'rrw_session';
+const SESSION_DAYS = 30;
+const ROLES = ['admin', 'player'];
+
+// 不需要登录即可访问的接口 (登录页自身要用到)
+const PUBLIC_API_PREFIXES = ['/api/auth/'];
+
+function hashPassword (password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, 64, (err, derived) => {
+            if (err) return reject(err);
+            resolve(`scrypt$${salt}$${derived.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword (password, stored) {
+    return new Promise((resolve) => {
+        const [scheme, salt, hash] = String(stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+        crypto.scrypt(password, salt, 64, (err, derived) => {
+            if (err) return resolve(false);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+        });
+    });
+}
+
+function countUsers () {
+    return new Promise((resolve) => {
+        db.get('SELECT COUNT(*) as count FROM users', (err, row) => {
+            if (err) console.error('[Auth] 查询用户数量失败:', err);
+            resolve(row ? row.count : 0);
+        });
+    });
+}
+
+function findUserByName (username) {
+    return new Promise((resolve) => {
+        db.get('SELECT * FROM users WHERE username = ?', [username], (err, row) => {
+            if (err) console.error('[Auth] 查询用户失败:', err);
+            resolve(row || null);
+        });
+    });
+}
+
+async function createUser (username, password, role = 'player') {
+    const passwordHash = await hashPassword(password);
+    return new Promise((resolve, reject) => {
+        db.run(
+            'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+            [username, passwordHash, role],
+            function (err) {
+                if (err) return reject(err);
+                resolve({ id: this.lastID, username, role });
+            }
+        );
+    });
+}
+
+function createSession (ctx, userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const maxAge = SESSION_DAYS * 24 * 60 * 60 * 1000;
+    const expiresAt = Date.now() + maxAge;
+
+    return new Promise((resolve, reject) => {
+        db.run('INSERT INTO sessions (token, user_id, expires_at) VALUES (?, ?, ?)', [token, userId, expiresAt], (err) => {
+            if (err) return reject(err);
+            ctx.cookies.set(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'lax', maxAge, overwrite: true });
+            resolve(token);
+        });
+    });
+}
+
+function destroySession (ctx) {
+    const token = ctx.cookies.get(SESSION_COOKIE);
+    ctx.cookies.set(SESSION_COOKIE, null);
+    if (!token) return Promise.resolve();
+
+    return new Promise((resolve) => {
+        db.run('DELETE FROM sessions WHERE token = ?', [token], (err) => {
+            if (err) console.error('[Auth] 删除会话失败:', err);
+            resolve();
+        });
+    });
+}
+
+// 全局中间件：根据 Cookie 解析当前用户，并拦截未登录的接口请求
+async function sessionMiddleware (ctx, next) {
+    const token = ctx.cookies.get(SESSION_COOKIE);
+    if (token) {
+        ctx.state.user = await new Promise((resolve) => {
+            db.get(
+                `SELECT u.id, u.username, u.role FROM sessions s
+                 JOIN users u ON u.id = s.user_id
+                 WHERE s.token = ? AND s.expires_at > ?`,
+                [token, Date.now()],
+                (err, row) => {
+                    if (err) console.error('[Auth] 会话校验失败:', err);
+                    resolve(row || null);
+                }
+            );
+        });
+    }
+
+    const isProtected =
+        (ctx.path.startsWith('/api/') || ctx.path.startsWith('/bios/')) &&
+        !PUBLIC_API_PREFIXES.some((prefix) => ctx.path.startsWith(prefix));
+
+    if (isProtected && !ctx.state.user) {
+        ctx.status = 401;
+        ctx.body = { error: 'Login required' };
+        return;
+    }
+    await next();
+}
+
+// 路由级中间件：仅管理员可访问
+async function requireAdmin (ctx, next) {
+    if (!ctx.state.user || ctx.state.user.role !== 'admin') {
+        ctx.status = 403;
+        ctx.body = { error: 'Admin only' };
+        return;
+    }
+    await next();
+}
+
+// 定期清理过期会话，避免 sessions 表无限增长
+function purgeExpiredSessions () {
+    db.run('DELETE FROM sessions WHERE expires_at <= ?', [Date.now()], (err) => {
+        if (err) console.error('[Auth] 清理过期会话失败:', err);
+    });
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    countUsers,
+    findUserByName,
+    createUser,
+    createSession,
+    destroySession,
+    sessionMiddleware,
+    requireAdmin,
+    purgeExpiredSessions
+};
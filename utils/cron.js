@@ -0,0 +1,112 @@
+/**
+ * cron.js
+ * 极简 cron 表达式解析：供定时同步任务使用，不依赖第三方库
+ * * 说明：
+ * 1. 标准 5 段 "分 时 日 月 周"，支持 *、列表 (1,15)、范围 (1-5)、步长 (*\/10、0-30/5)；周 0 与 7 都是周日。
+ * 2. 支持别名 @hourly / @daily / @weekly / @monthly。
+ * 3. 日与周同时限定时，满足其一即触发 (与常见 cron 实现一致)；按服务器本地时间计算。
+ */
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'weekday', min: 0, max: 7 }
+];
+
+const ALL_MINUTES = new Set(Array.from({ length: 60 }, (_, i) => i));
+const ALL_HOURS = new Set(Array.from({ length: 24 }, (_, i) => i));
+
+function parseField (text, { min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const m = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+        if (!m) throw new Error(`Invalid cron field: ${text}`);
+
+        let from = min;
+        let to = max;
+        if (m[1] !== '*') {
+            [from, to] = m[1].split('-').map((n) => parseInt(n, 10));
+            if (to === undefined) to = m[2] ? max : from;
+        }
+        const step = m[2] ? parseInt(m[2], 10) : 1;
+        if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid cron field: ${text}`);
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * 解析表达式，返回 { expression, minute, hour, day, month, weekday, anyDay, anyWeekday }；格式错误时抛错
+ */
+function parse (expression) {
+    const expr = ALIASES[String(expression || '').trim().toLowerCase()] || String(expression || '').trim();
+    const parts = expr.split(/\s+/);
+    if (parts.length !== 5) throw new Error('Cron expression must have 5 fields');
+
+    const result = { expression: expr };
+    FIELDS.forEach((field, i) => (result[field.name] = parseField(parts[i], field)));
+    if (result.weekday.has(7)) result.weekday.add(0);
+    result.anyDay = parts[2] === '*';
+    result.anyWeekday = parts[4] === '*';
+    return result;
+}
+
+function isValid (expression) {
+    try {
+        parse(expression);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function matches (parsed, date) {
+    if (!parsed.minute.has(date.getMinutes()) || !parsed.hour.has(date.getHours())) return false;
+    if (!parsed.month.has(date.getMonth() + 1)) return false;
+
+    const dayOk = parsed.day.has(date.getDate());
+    const weekdayOk = parsed.weekday.has(date.getDay());
+    if (parsed.anyDay || parsed.anyWeekday) return dayOk && weekdayOk;
+    return dayOk || weekdayOk;
+}
+
+// from 之后 (不含当前分钟) 的下一次触发时间，一年内没有则返回 null
+function nextRun (parsed, from = new Date()) {
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = from.getTime() + 366 * 24 * 3600 * 1000;
+
+    // 月 / 日 / 时不符时整段跳过，避免逐分钟遍历一整年
+    while (date.getTime() <= limit) {
+        if (!parsed.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!matches({ ...parsed, minute: ALL_MINUTES, hour: ALL_HOURS }, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!parsed.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!parsed.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parse,
+    isValid,
+    matches,
+    nextRun
+};
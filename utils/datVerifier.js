@@ -0,0 +1,335 @@
+/**
+ * datVerifier.js
+ * DAT 校验：读取 No-Intro / Redump / MAME 的 Logiqx 格式 DAT，按 CRC32 / MD5 / SHA1 核对 ROM
+ * * 说明：
+ * 1. DAT 位置：systems.json 中该主机的 "dat" (文件名或数组，相对 config.datDir)，否则读取 datDir/<system>/ 下所有 .dat / .xml。
+ * 2. 校验结果写入 games.verify_status：verified (完全匹配) / bad (坏档或内容与 DAT 同名条目不符) /
+ *    missing (zip 命中某个套装但缺少其中的文件) / unknown (DAT 中查无此档)；没有 DAT 的主机保持为空。
+ * 3. 命中的 DAT 条目名写入 games.dat_name，去掉区域标签后可作为高可信度的游戏名，在联网抓取之前使用。
+ * 4. zip 中的说明文件 (NON_ROM_EXTS，如 readme / .nfo) 不参与判定；超过 romHash.PREHASH_LIMIT 的大文件只用已缓存的校验值，
+ *    没有缓存时记为 unknown，批量校验不整文件读取光盘镜像。
+ * 5. DAT 以流方式解析 (MAME 等 DAT 可达数百 MB，不整体读入内存)；systems.json 按修改时间缓存，逐个 ROM 校验时不再重复读取。
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const sax = require('sax');
+const config = require('../config');
+const db = require('../db/database');
+const romHash = require('./romHash');
+
+const DAT_EXTS = ['.dat', '.xml'];
+const VERIFY_STATUSES = ['verified', 'bad', 'missing', 'unknown'];
+// zip 中常见的附带文件，不视为 ROM
+const NON_ROM_EXTS = ['.txt', '.nfo', '.diz', '.md', '.pdf', '.htm', '.html', '.url', '.jpg', '.jpeg', '.png', '.gif', '.sfv'];
+
+// system -> { key, dat }，key 由 DAT 文件路径与修改时间组成，文件变化后重新解析
+const datCache = {};
+// system -> { key, promise }，同一主机的 DAT 正在解析时复用，避免并发入库时重复解析
+const datLoading = {};
+const SYSTEMS_FILE = path.join(__dirname, '../systems.json');
+let systemsCache = { mtimeMs: null, systems: {} };
+const runningSystems = new Set();
+
+function getDatDir () {
+    return config.datDir || path.join(__dirname, '../dats');
+}
+
+function loadSystemInfo (system) {
+    try {
+        const { mtimeMs } = fs.statSync(SYSTEMS_FILE);
+        if (systemsCache.mtimeMs !== mtimeMs) systemsCache = { mtimeMs, systems: fs.readJsonSync(SYSTEMS_FILE) };
+        return systemsCache.systems[system.toLowerCase()] || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function findDatFiles (system) {
+    const datDir = getDatDir();
+    const configured = loadSystemInfo(system).dat;
+    if (configured) {
+        return (Array.isArray(configured) ? configured : [configured])
+            .map((f) => path.resolve(datDir, f))
+            .filter((f) => fs.existsSync(f));
+    }
+
+    const systemDir = path.join(datDir, system);
+    if (!fs.existsSync(systemDir)) return [];
+    return fs
+        .readdirSync(systemDir)
+        .filter((f) => DAT_EXTS.includes(path.extname(f).toLowerCase()))
+        .map((f) => path.join(systemDir, f));
+}
+
+// 流式解析 Logiqx XML：<game>/<machine> 下的 <rom> 与 <disk> 都视为套装成员
+function parseDatFile (file) {
+    return new Promise((resolve, reject) => {
+        const result = { name: null, games: [] };
+        const parser = sax.createStream(false, { lowercase: true });
+        let inHeader = false;
+        let headerField = null;
+        let current = null;
+
+        parser.on('opentag', (node) => {
+            const attrs = node.attributes;
+            if (node.name === 'header') inHeader = true;
+            else if (inHeader && node.name === 'name') headerField = 'name';
+            else if (node.name === 'game' || node.name === 'machine') current = { name: attrs.name, roms: [] };
+            else if (current && (node.name === 'rom' || node.name === 'disk')) {
+                if (attrs.status === 'nodump') return;
+                current.roms.push({
+                    name: attrs.name,
+                    size: attrs.size ? parseInt(attrs.size, 10) : null,
+                    crc32: attrs.crc ? attrs.crc.toLowerCase() : null,
+                    md5: attrs.md5 ? attrs.md5.toLowerCase() : null,
+                    sha1: attrs.sha1 ? attrs.sha1.toLowerCase() : null,
+                    bad: attrs.status === 'baddump'
+                });
+            }
+        });
+        parser.on('text', (text) => {
+            if (headerField && !result.name) result.name = text.trim();
+        });
+        parser.on('closetag', (name) => {
+            if (name === 'header') inHeader = false;
+            else if (headerField && name === 'name') headerField = null;
+            else if ((name === 'game' || name === 'machine') && current) {
+                if (current.name && current.roms.length) result.games.push(current);
+                current = null;
+            }
+        });
+        // 格式错误忽略后继续解析 (有监听时 sax 会清除错误状态)
+        parser.on('error', () => {});
+        parser.on('end', () => resolve(result));
+
+        fs.createReadStream(file).on('error', reject).pipe(parser);
+    });
+}
+
+function buildIndex (games) {
+    const index = { bySha1: new Map(), byMd5: new Map(), byCrc: new Map(), byName: new Map() };
+    for (const game of games) {
+        index.byName.set(game.name.toLowerCase(), game);
+        for (const rom of game.roms) {
+            const hit = { game, rom };
+            if (rom.sha1) index.bySha1.set(rom.sha1, hit);
+            if (rom.md5) index.byMd5.set(rom.md5, hit);
+            if (rom.crc32) index.byCrc.set(`${rom.crc32}:${rom.size}`, hit);
+        }
+    }
+    return index;
+}
+
+function hasDat (system) {
+    return findDatFiles(system).length > 0;
+}
+
+async function parseDatFiles (system, files) {
+    const names = [];
+    const games = [];
+    for (const file of files) {
+        try {
+            const parsed = await parseDatFile(file);
+            names.push(parsed.name || path.basename(file));
+            for (const game of parsed.games) games.push(game);
+        } catch (e) {
+            console.error(`[DAT] 解析失败: ${file} - ${e.message}`);
+        }
+    }
+    console.log(`[DAT] ${system}: 读取 ${files.length} 个 DAT，共 ${games.length} 个条目`);
+    return { name: names.join(' + '), files, games, index: buildIndex(games) };
+}
+
+async function loadDat (system) {
+    const files = findDatFiles(system);
+    if (!files.length) return null;
+
+    const key = files.map((f) => `${f}@${fs.statSync(f).mtimeMs}`).join('|');
+    const cached = datCache[system];
+    if (cached && cached.key === key) return cached.dat;
+
+    const loading = datLoading[system];
+    if (loading && loading.key === key) return loading.promise;
+
+    const promise = parseDatFiles(system, files)
+        .then((dat) => {
+            datCache[system] = { key, dat };
+            return dat;
+        })
+        .finally(() => {
+            if (datLoading[system]?.promise === promise) delete datLoading[system];
+        });
+    datLoading[system] = { key, promise };
+    return promise;
+}
+
+// 依次按 SHA1 -> MD5 -> CRC32+大小 查找
+function matchHashes (index, hashes) {
+    return (
+        (hashes.sha1 && index.bySha1.get(hashes.sha1)) ||
+        (hashes.md5 && index.byMd5.get(hashes.md5)) ||
+        (hashes.crc32 && index.byCrc.get(`${hashes.crc32}:${hashes.size}`)) ||
+        null
+    );
+}
+
+// DAT 名 "Super Mario Bros. (World) [b]" -> "Super Mario Bros."
+function cleanDatName (name) {
+    if (!name) return null;
+    return name.replace(/\s*[([].*$/, '').trim() || name;
+}
+
+// 文件名与 DAT 条目同名但校验值对不上，视为坏档 / 改版
+function statusByName (dat, filename) {
+    const stem = path.basename(filename, path.extname(filename)).toLowerCase();
+    const game = dat.index.byName.get(stem);
+    return game ? { status: 'bad', datName: game.name } : { status: 'unknown', datName: null };
+}
+
+function isRomEntry (entry) {
+    return !NON_ROM_EXTS.includes(path.extname(entry.name).toLowerCase());
+}
+
+async function verifyZip (dat, fullPath) {
+    const entries = (await romHash.getZipEntryHashes(fullPath)).filter(isRomEntry);
+    const hits = entries.map((entry) => matchHashes(dat.index, entry));
+    const matched = hits.filter(Boolean);
+    if (!matched.length) return null;
+
+    // 以命中最多的条目作为这个压缩包对应的套装
+    const counts = new Map();
+    for (const hit of matched) counts.set(hit.game, (counts.get(hit.game) || 0) + 1);
+    const game = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    const found = new Set(matched.filter((h) => h.game === game).map((h) => h.rom));
+    if (matched.some((h) => h.rom.bad) || matched.length < entries.length) return { status: 'bad', datName: game.name };
+    if (game.roms.some((rom) => !found.has(rom))) return { status: 'missing', datName: game.name };
+    return { status: 'verified', datName: game.name };
+}
+
+/**
+ * 校验单个 ROM，返回 { status, datName }；主机没有 DAT 或 ROM 是文件夹时返回 null
+ */
+async function verifyRom (system, filename, fullPath) {
+    const dat = await loadDat(system);
+    if (!dat) return null;
+
+    const stat = await fs.stat(fullPath);
+    if (stat.isDirectory()) return null;
+
+    if (romHash.isZip(fullPath)) {
+        try {
+            const zipResult = await verifyZip(dat, fullPath);
+            if (zipResult) return zipResult;
+        } catch (e) {
+            console.error(`[DAT] 读取压缩包失败: ${filename} - ${e.message}`);
+        }
+        // 某些 DAT (如部分街机 / 计算机) 直接记录 zip 本身的校验值，继续按整文件匹配
+    }
+
+    const hashes =
+        stat.size > romHash.PREHASH_LIMIT
+            ? await romHash.getCachedFileHashes(fullPath)
+            : await romHash.getFileHashes(fullPath);
+    if (!hashes) return { status: 'unknown', datName: null };
+
+    const hit = matchHashes(dat.index, hashes);
+    if (!hit) return statusByName(dat, filename);
+    return { status: hit.rom.bad ? 'bad' : 'verified', datName: hit.game.name };
+}
+
+function updateGameVerify (system, filename, result) {
+    return new Promise((resolve) => {
+        db.run(
+            'UPDATE games SET verify_status = ?, dat_name = ? WHERE system = ? AND filename = ?',
+            [result ? result.status : null, result ? result.datName : null, system, filename],
+            (err) => {
+                if (err) console.error('[DAT] 更新校验状态失败:', err.message);
+                resolve();
+            }
+        );
+    });
+}
+
+// 整个主机重新校验，logger 用于把进度推送到同步日志
+async function verifySystem (system, logger = console.log) {
+    if (runningSystems.has(system)) throw new Error('Verification already running');
+    // 解析 DAT 期间就标记为运行中，避免重复触发
+    runningSystems.add(system);
+    try {
+        const dat = await loadDat(system);
+        if (!dat) throw new Error('No DAT file found for this system');
+
+        const rows = await new Promise((resolve, reject) => {
+            db.all('SELECT filename FROM games WHERE system = ? ORDER BY filename ASC', [system], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+
+        logger(`开始 DAT 校验: ${dat.name} (${rows.length} 个文件)`);
+        const summary = { verified: 0, bad: 0, missing: 0, unknown: 0, skipped: 0 };
+        for (const { filename } of rows) {
+            let result = null;
+            try {
+                result = await verifyRom(system, filename, path.join(config.romsDir, system, filename));
+            } catch (e) {
+                logger(`⚠️ 校验失败: ${filename} - ${e.message}`);
+            }
+            await updateGameVerify(system, filename, result);
+            if (result) summary[result.status]++;
+            else summary.skipped++;
+        }
+        logger(
+            `DAT 校验完成: 通过 ${summary.verified}，坏档 ${summary.bad}，缺文件 ${summary.missing}，未知 ${summary.unknown}`
+        );
+        return summary;
+    } finally {
+        runningSystems.delete(system);
+    }
+}
+
+// 审计报告：各状态统计 + DAT 中有但本地没有的条目
+async function getAuditReport (system) {
+    const dat = await loadDat(system);
+    if (!dat) return null;
+
+    const rows = await new Promise((resolve, reject) => {
+        db.all(
+            'SELECT filename, name, verify_status, dat_name FROM games WHERE system = ? ORDER BY filename ASC',
+            [system],
+            (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            }
+        );
+    });
+
+    const counts = { verified: 0, bad: 0, missing: 0, unknown: 0, unchecked: 0 };
+    for (const row of rows) {
+        if (VERIFY_STATUSES.includes(row.verify_status)) counts[row.verify_status]++;
+        else counts.unchecked++;
+    }
+
+    const owned = new Set(rows.filter((r) => r.dat_name && r.verify_status !== 'unknown').map((r) => r.dat_name));
+    return {
+        system,
+        dat: dat.name,
+        datEntries: dat.games.length,
+        counts,
+        missingSets: dat.games.filter((g) => !owned.has(g.name)).map((g) => g.name),
+        incomplete: rows.filter((r) => r.verify_status === 'missing'),
+        badDumps: rows.filter((r) => r.verify_status === 'bad'),
+        unknownFiles: rows.filter((r) => r.verify_status === 'unknown').map((r) => r.filename)
+    };
+}
+
+module.exports = {
+    hasDat,
+    loadDat,
+    verifyRom,
+    verifySystem,
+    getAuditReport,
+    cleanDatName,
+    isRunning: (system) => runningSystems.has(system)
+};
@@ -0,0 +1,189 @@
+/**
+ * discSets.js
+ * 多光盘游戏：按文件名中的 (Disc 1) / [CD2] / (Disk A) 等标记识别同一套光盘，生成 M3U 播放列表与游玩包
+ * * 说明：
+ * 1. 同一目录下、去掉光盘标记后文件名与扩展名都相同的 2 个及以上文件视为一套，按盘号排序；
+ *    已有同名 cue / ccd / gdi 的 bin / img 视为轨道文件，不单独成套。
+ * 2. 套装键 disc_set 为 "<system>/<去掉标记后的文件名>.m3u"，写入 games 表，同套的每张盘共用。
+ * 3. 游玩包是仅存储 (不压缩) 的 zip 流：playlist.m3u + 各光盘 (cue / gdi 会带上其引用的 bin/track)，
+ *    EmulatorJS 解包后优先加载 m3u，即可在菜单中换盘。
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const { Readable } = require('stream');
+const config = require('../config');
+const romHash = require('./romHash');
+const { SHEET_EXTS, getSheetTracks } = require('./romDiscovery');
+
+// 匹配 (Disc 1) / (Disc 1 of 3) / [CD2] / (Disk B) / (Side A)
+const DISC_TAG_RE = /\s*[([]\s*(?:disc|disk|cd|side)\s*([0-9]+|[a-z])(?:\s*of\s*\d+)?\s*[)\]]/i;
+
+/**
+ * 解析文件名中的光盘标记，返回 { title, number, key } 或 null
+ * title 为去掉标记后的名字，key 用于判断是否同一套
+ */
+function parseDisc (filename) {
+    const ext = path.extname(filename);
+    const stem = path.basename(filename, ext);
+    const m = DISC_TAG_RE.exec(stem);
+    if (!m) return null;
+
+    const raw = m[1].toLowerCase();
+    const number = /^\d+$/.test(raw) ? parseInt(raw, 10) : raw.charCodeAt(0) - 96;
+    const title = (stem.slice(0, m.index) + stem.slice(m.index + m[0].length)).replace(/\s{2,}/g, ' ').trim();
+    const dir = path.dirname(filename) === '.' ? '' : `${path.dirname(filename)}/`;
+    return { title, number, key: `${dir}${title}${ext}`.toLowerCase() };
+}
+
+// 同一目录下与 filename 同属一套的所有文件 (含自身)，按盘号排序；不足两张时返回空数组
+function findSetMembers (system, filename, siblings = null) {
+    const disc = parseDisc(filename);
+    if (!disc) return [];
+
+    const dir = path.dirname(filename);
+    if (!siblings) {
+        try {
+            siblings = fs.readdirSync(path.join(config.romsDir, system, dir));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    const ext = path.extname(filename).toLowerCase();
+    if (!SHEET_EXTS.includes(ext)) {
+        const stem = path.basename(filename, path.extname(filename)).toLowerCase();
+        const hasSheet = siblings.some(
+            (f) => SHEET_EXTS.includes(path.extname(f).toLowerCase()) && path.basename(f, path.extname(f)).toLowerCase() === stem
+        );
+        if (hasSheet) return [];
+    }
+
+    const members = siblings
+        .map((f) => (dir === '.' ? f : `${dir}/${f}`))
+        .map((f) => ({ filename: f, disc: parseDisc(f) }))
+        .filter((m) => m.disc && m.disc.key === disc.key)
+        .sort((a, b) => a.disc.number - b.disc.number);
+    return members.length >= 2 ? members.map((m) => m.filename) : [];
+}
+
+// games.disc_set 的取值；不是多光盘时返回 null
+function getSetKey (system, filename) {
+    const disc = parseDisc(filename);
+    if (!disc || findSetMembers(system, filename).length < 2) return null;
+    const dir = path.dirname(filename) === '.' ? '' : `${path.dirname(filename)}/`;
+    return `${system}/${dir}${disc.title}.m3u`;
+}
+
+function buildM3u (filenames) {
+    return filenames.map((f) => path.basename(f)).join('\n') + '\n';
+}
+
+// ================= 仅存储的 zip 流 =================
+
+const ZIP_FLAGS = 0x0808; // bit 3: 校验值写在数据之后；bit 11: 文件名为 UTF-8
+const MAX_ZIP_SIZE = 0xffffffff;
+
+function localHeader (name) {
+    const buf = Buffer.alloc(30);
+    buf.writeUInt32LE(0x04034b50, 0);
+    buf.writeUInt16LE(20, 4);
+    buf.writeUInt16LE(ZIP_FLAGS, 6);
+    buf.writeUInt16LE(name.length, 26);
+    return Buffer.concat([buf, name]);
+}
+
+function dataDescriptor (crc, size) {
+    const buf = Buffer.alloc(16);
+    buf.writeUInt32LE(0x08074b50, 0);
+    buf.writeUInt32LE(crc, 4);
+    buf.writeUInt32LE(size, 8);
+    buf.writeUInt32LE(size, 12);
+    return buf;
+}
+
+function centralHeader (name, crc, size, offset) {
+    const buf = Buffer.alloc(46);
+    buf.writeUInt32LE(0x02014b50, 0);
+    buf.writeUInt16LE(20, 4);
+    buf.writeUInt16LE(20, 6);
+    buf.writeUInt16LE(ZIP_FLAGS, 8);
+    buf.writeUInt32LE(crc, 16);
+    buf.writeUInt32LE(size, 20);
+    buf.writeUInt32LE(size, 24);
+    buf.writeUInt16LE(name.length, 28);
+    buf.writeUInt32LE(offset, 42);
+    return Buffer.concat([buf, name]);
+}
+
+function endOfCentral (count, size, offset) {
+    const buf = Buffer.alloc(22);
+    buf.writeUInt32LE(0x06054b50, 0);
+    buf.writeUInt16LE(count, 8);
+    buf.writeUInt16LE(count, 10);
+    buf.writeUInt32LE(size, 12);
+    buf.writeUInt32LE(offset, 16);
+    return buf;
+}
+
+/**
+ * 生成整套光盘的游玩包，返回 { length, entries, stream }
+ * 总长度可提前算出，便于前端显示下载进度；超过 4GB 时抛错 (不支持 zip64)
+ */
+function createSetBundle (system, members) {
+    const baseDir = path.join(config.romsDir, system);
+    const entries = [{ name: 'playlist.m3u', data: Buffer.from(buildM3u(members), 'utf8') }];
+
+    for (const filename of members) {
+        const fullPath = path.join(baseDir, filename);
+        entries.push({ name: path.basename(filename), path: fullPath, size: fs.statSync(fullPath).size });
+        if (SHEET_EXTS.includes(path.extname(filename).toLowerCase())) {
+            for (const track of getSheetTracks(fullPath)) {
+                const trackPath = path.join(path.dirname(fullPath), track);
+                if (!fs.existsSync(trackPath) || entries.some((e) => e.path === trackPath)) continue;
+                entries.push({ name: track, path: trackPath, size: fs.statSync(trackPath).size });
+            }
+        }
+    }
+
+    let length = 22;
+    for (const entry of entries) {
+        entry.nameBuf = Buffer.from(entry.name, 'utf8');
+        if (entry.data) entry.size = entry.data.length;
+        length += 30 + 16 + 46 + 2 * entry.nameBuf.length + entry.size;
+    }
+    if (length > MAX_ZIP_SIZE) throw new Error('Disc set too large to bundle');
+
+    async function * generate () {
+        const central = [];
+        let offset = 0;
+        for (const entry of entries) {
+            const header = localHeader(entry.nameBuf);
+            yield header;
+
+            let crc = 0xffffffff;
+            const chunks = entry.data ? [entry.data] : fs.createReadStream(entry.path);
+            for await (const chunk of chunks) {
+                crc = romHash.crc32Update(crc, chunk);
+                yield chunk;
+            }
+            crc = (crc ^ 0xffffffff) >>> 0;
+
+            yield dataDescriptor(crc, entry.size);
+            central.push(centralHeader(entry.nameBuf, crc, entry.size, offset));
+            offset += header.length + entry.size + 16;
+        }
+        const centralBuf = Buffer.concat(central);
+        yield centralBuf;
+        yield endOfCentral(entries.length, centralBuf.length, offset);
+    }
+
+    return { length, entries: entries.map((e) => e.name), stream: Readable.from(generate()) };
+}
+
+module.exports = {
+    parseDisc,
+    findSetMembers,
+    getSetKey,
+    buildM3u,
+    createSetBundle
+};
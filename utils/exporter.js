@@ -0,0 +1,185 @@
+/**
+ * exporter.js
+ * 元数据导出：把 games 表中的数据按主机导出为 EmulationStation gamelist.xml 与 Pegasus metadata.pegasus.txt
+ * * 说明：
+ * 1. 媒体路径统一改写为相对 ROM 目录 (roms/<system>) 的路径，导出文件放进 ROM 目录即可被掌机前端识别。
+ * 2. gamelist.xml 按 ROM 文件逐条输出；Pegasus 按游戏名合并，同名多版本写成 files 列表。
+ * 3. 导出与 providers/gamelist.js 的导入互逆：有截图时 image = 截图、thumbnail = 封面，否则 image = 封面。
+ * 4. 写入 ROM 目录时主机没有任何游戏记录则拒绝写入，避免用空文件覆盖用户原有的 gamelist.xml。
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const db = require('../db/database');
+
+const FORMATS = {
+    gamelist: { filename: 'gamelist.xml', contentType: 'application/xml; charset=utf-8' },
+    pegasus: { filename: 'metadata.pegasus.txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+function getSystemGames (system) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM games WHERE system = ? ORDER BY name ASC, filename ASC', [system], (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows);
+        });
+    });
+}
+
+function countSystemGames (system) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT COUNT(*) AS count FROM games WHERE system = ?', [system], (err, row) => {
+            if (err) return reject(err);
+            resolve(row.count);
+        });
+    });
+}
+
+function loadSystemInfo (system) {
+    try {
+        const systems = fs.readJsonSync(path.join(__dirname, '../systems.json'));
+        return systems[system.toLowerCase()] || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// 媒体库路径 (mediaDir 相对路径) -> 相对 ROM 目录的路径
+function toRomRelative (system, mediaPath) {
+    if (!mediaPath) return null;
+    const absPath = path.join(config.mediaDir, mediaPath);
+    if (!fs.existsSync(absPath)) return null;
+    const rel = path.relative(path.join(config.romsDir, system), absPath).replace(/\\/g, '/');
+    return rel.startsWith('.') ? rel : `./${rel}`;
+}
+
+function escapeXml (text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// 1985-09-13 / 1985 -> 19850913T000000 (ES 格式)
+function toEsDate (date) {
+    const m = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/.exec(date || '');
+    if (!m) return null;
+    return `${m[1]}${m[2] || '01'}${m[3] || '01'}T000000`;
+}
+
+function hasDesc (desc) {
+    return desc && desc !== '暂无简介';
+}
+
+function buildGamelist (system, rows) {
+    const lines = ['<?xml version="1.0"?>', '<gameList>'];
+
+    for (const row of rows) {
+        const cover = toRomRelative(system, row.image_path);
+        const screenshot = toRomRelative(system, row.screenshot_path);
+        const fields = [
+            ['path', `./${row.filename}`],
+            ['name', row.name],
+            ['desc', hasDesc(row.desc) ? row.desc : null],
+            ['rating', parseFloat(row.rating) > 0 ? parseFloat(row.rating).toFixed(2) : null],
+            ['releasedate', toEsDate(row.releasedate)],
+            ['developer', row.developer],
+            ['publisher', row.publisher],
+            ['genre', row.genre],
+            ['players', row.players],
+            ['image', screenshot || cover],
+            ['thumbnail', screenshot ? cover : null],
+            ['marquee', toRomRelative(system, row.marquee_path)],
+            ['video', toRomRelative(system, row.video_path)]
+        ];
+
+        lines.push('    <game>');
+        for (const [tag, value] of fields) {
+            if (value) lines.push(`        <${tag}>${escapeXml(value)}</${tag}>`);
+        }
+        lines.push('    </game>');
+    }
+
+    lines.push('</gameList>', '');
+    return lines.join('\n');
+}
+
+// Pegasus 多行值：后续行以空格缩进，空行写成 "."
+function pegasusValue (text) {
+    return String(text)
+        .replace(/\r/g, '')
+        .split('\n')
+        .map((line, i) => (i === 0 ? line : `  ${line.trim() || '.'}`))
+        .join('\n');
+}
+
+function buildPegasus (system, rows, sysInfo = {}) {
+    const lines = [`collection: ${sysInfo.fullname || system}`, `shortname: ${system}`, ''];
+
+    // 同名多版本合并为一个游戏
+    const groups = new Map();
+    for (const row of rows) {
+        if (!groups.has(row.name)) groups.set(row.name, []);
+        groups.get(row.name).push(row);
+    }
+
+    for (const [name, versions] of groups) {
+        const pick = (field) => versions.map((v) => v[field]).find(Boolean);
+        const rating = parseFloat(pick('rating'));
+        const desc = pick('desc');
+
+        lines.push(`game: ${name}`);
+        if (versions.length === 1) lines.push(`file: ${versions[0].filename}`);
+        else lines.push('files:', ...versions.map((v) => `  ${v.filename}`));
+
+        const fields = [
+            ['developer', pick('developer')],
+            ['publisher', pick('publisher')],
+            ['genre', pick('genre')],
+            ['players', pick('players')],
+            ['rating', rating > 0 ? `${Math.round(rating * 100)}%` : null],
+            ['release', pick('releasedate')],
+            ['description', hasDesc(desc) ? desc : null],
+            ['assets.box_front', toRomRelative(system, pick('image_path'))],
+            ['assets.screenshot', toRomRelative(system, pick('screenshot_path'))],
+            ['assets.logo', toRomRelative(system, pick('marquee_path'))],
+            ['assets.video', toRomRelative(system, pick('video_path'))]
+        ];
+        for (const [key, value] of fields) {
+            if (value) lines.push(`${key}: ${pegasusValue(value)}`);
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+// 生成指定主机、指定格式的导出内容
+async function renderExport (system, format) {
+    if (!FORMATS[format]) throw new Error(`Unknown export format: ${format}`);
+    const rows = await getSystemGames(system);
+    const content = format === 'gamelist' ? buildGamelist(system, rows) : buildPegasus(system, rows, loadSystemInfo(system));
+    return { ...FORMATS[format], content, count: rows.length };
+}
+
+// 写入 ROM 目录 (或 outDir/<system>)，已有同名文件先备份为 .bak，返回写入的文件路径
+async function exportToDisk (system, format, outDir = null) {
+    const { filename, content, count } = await renderExport(system, format);
+    if (!count) throw new Error('No games to export for this system');
+    const target = path.join(outDir ? path.join(outDir, system) : path.join(config.romsDir, system), filename);
+    await fs.ensureDir(path.dirname(target));
+    if (await fs.pathExists(target)) await fs.copy(target, `${target}.bak`);
+    await fs.writeFile(target, content, 'utf8');
+    return { target, count };
+}
+
+module.exports = {
+    FORMATS,
+    countSystemGames,
+    buildGamelist,
+    buildPegasus,
+    renderExport,
+    exportToDisk
+};
@@ -0,0 +1,71 @@
+/**
+ * gameMetadata.js
+ * 手动编辑元数据：可编辑字段的校验，以及按字段锁定 (locked_fields) 的读写
+ * * 说明：
+ * 1. games.locked_fields 为 JSON 数组 (如 ["name","desc"])，被锁定的字段在重新同步时保留原值，不会被抓取结果覆盖。
+ * 2. rating 与抓取结果一致，存为 0~1 的字符串 (两位小数)；releasedate 接受 YYYY、YYYY-MM 或 YYYY-MM-DD。
+ */
+const EDITABLE_FIELDS = ['name', 'desc', 'genre', 'developer', 'publisher', 'players', 'rating', 'releasedate'];
+
+const DATE_RE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+function parseLockedFields (text) {
+    try {
+        const list = JSON.parse(text || '[]');
+        return Array.isArray(list) ? list.filter((f) => EDITABLE_FIELDS.includes(f)) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * 校验接口传入的修改，返回 { fields, lockedFields }；出错时抛出 Error (message 直接返回给前端)
+ * body: { fields: { name, desc, ... }, locked_fields: [...] }，二者都可省略；
+ * 未传 locked_fields 时，本次修改过的字段自动加入 currentLocked
+ */
+function normalizeEdit (body = {}, currentLocked = []) {
+    const input = body.fields && typeof body.fields === 'object' ? body.fields : {};
+    const fields = {};
+    for (const [key, value] of Object.entries(input)) {
+        if (!EDITABLE_FIELDS.includes(key)) throw new Error(`Field not editable: ${key}`);
+        fields[key] = value === null || value === undefined ? '' : String(value).trim();
+    }
+
+    if ('name' in fields && !fields.name) throw new Error('Name cannot be empty');
+    if ('rating' in fields) {
+        const rating = fields.rating === '' ? 0 : Number(fields.rating);
+        if (!Number.isFinite(rating) || rating < 0 || rating > 1) throw new Error('Rating must be between 0 and 1');
+        fields.rating = rating.toFixed(2);
+    }
+    if (fields.releasedate && !DATE_RE.test(fields.releasedate)) {
+        throw new Error('Release date must be YYYY, YYYY-MM or YYYY-MM-DD');
+    }
+
+    let lockedFields;
+    if (Array.isArray(body.locked_fields)) {
+        const unknown = body.locked_fields.find((f) => !EDITABLE_FIELDS.includes(f));
+        if (unknown) throw new Error(`Field not editable: ${unknown}`);
+        lockedFields = [...new Set(body.locked_fields)];
+    } else {
+        lockedFields = [...new Set([...currentLocked, ...Object.keys(fields)])];
+    }
+
+    if (!Object.keys(fields).length && !Array.isArray(body.locked_fields)) throw new Error('Nothing to update');
+    return { fields, lockedFields };
+}
+
+// 把旧记录中被锁定的字段写回 gameInfo (抓取结果合并之后调用)
+function applyLockedFields (gameInfo, oldData) {
+    if (!oldData) return gameInfo;
+    for (const field of parseLockedFields(oldData.locked_fields)) {
+        if (oldData[field] !== null && oldData[field] !== undefined) gameInfo[field] = oldData[field];
+    }
+    return gameInfo;
+}
+
+module.exports = {
+    EDITABLE_FIELDS,
+    parseLockedFields,
+    normalizeEdit,
+    applyLockedFields
+};
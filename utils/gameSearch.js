@@ -0,0 +1,120 @@
+/**
+ * gameSearch.js
+ * 游戏搜索：关键字全文检索 (games_fts) 与结构化筛选，拼出 /api/games 的 WHERE 条件
+ * * 说明：
+ * 1. 关键字按空白拆分，各词之间为 AND；每个词在 名称 / 简介 / 开发商 / 发行商 / 类型 中全文匹配，或匹配文件名。
+ *    trigram 分词至少需要 3 个字符，更短的词 (如 "马里") 以及全文索引不可用时退回名称 / 文件名 LIKE。
+ * 2. 筛选参数：yearFrom / yearTo (发行年份)、players (至少支持的人数，"1-4" 按 4 计)、minRating (0~1)、
+ *    genre / developer (包含匹配)、hasVideo / hasCover (1 = 有，0 = 没有)。
+ * 3. 参数非法时抛出 Error (message 直接返回给前端)。
+ */
+const db = require('../db/database');
+
+let ftsAvailable = null;
+
+// 全文索引在启动时创建，这里只检查一次并缓存结果
+function isFtsAvailable () {
+    if (ftsAvailable !== null) return Promise.resolve(ftsAvailable);
+    return new Promise((resolve) => {
+        db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'games_fts'", (err, row) => {
+            ftsAvailable = !err && !!row;
+            resolve(ftsAvailable);
+        });
+    });
+}
+
+// 作为 FTS5 字符串检索：整体加双引号，内部双引号转义，避免 AND / OR / * 等被当作查询语法
+function quoteFts (token) {
+    return `"${token.replace(/"/g, '""')}"`;
+}
+
+function parseIntParam (value, label, min, max) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) throw new Error(`${label} must be an integer between ${min} and ${max}`);
+    return n;
+}
+
+function parseFlag (value) {
+    if (value === undefined || value === null || value === '') return null;
+    return value === '1' || value === 'true' || value === 1 || value === true;
+}
+
+/**
+ * query 为 ctx.query，返回 { conditions: [...], params: [...] }，条件之间以 AND 连接
+ * 条件中的列不带表前缀，只用于 games 单表查询
+ */
+async function buildGameFilters (query = {}) {
+    const conditions = [];
+    const params = [];
+
+    const keyword = String(query.keyword || '').trim();
+    if (keyword) {
+        const useFts = await isFtsAvailable();
+        for (const token of keyword.split(/\s+/)) {
+            const like = `%${token}%`;
+            if (useFts && [...token].length >= 3) {
+                conditions.push('(id IN (SELECT rowid FROM games_fts WHERE games_fts MATCH ?) OR filename LIKE ?)');
+                params.push(quoteFts(token), like);
+            } else {
+                conditions.push('(name LIKE ? OR filename LIKE ?)');
+                params.push(like, like);
+            }
+        }
+    }
+
+    const yearFrom = parseIntParam(query.yearFrom, 'yearFrom', 1900, 2100);
+    const yearTo = parseIntParam(query.yearTo, 'yearTo', 1900, 2100);
+    if (yearFrom !== null || yearTo !== null) {
+        conditions.push("COALESCE(releasedate, '') != ''");
+        if (yearFrom !== null) {
+            conditions.push('CAST(substr(releasedate, 1, 4) AS INTEGER) >= ?');
+            params.push(yearFrom);
+        }
+        if (yearTo !== null) {
+            conditions.push('CAST(substr(releasedate, 1, 4) AS INTEGER) <= ?');
+            params.push(yearTo);
+        }
+    }
+
+    const players = parseIntParam(query.players, 'players', 1, 99);
+    if (players !== null) {
+        // "1-4" 取上限，"2" 直接取值
+        conditions.push(
+            "CAST(CASE WHEN instr(players, '-') > 0 THEN substr(players, instr(players, '-') + 1) ELSE players END AS INTEGER) >= ?"
+        );
+        params.push(players);
+    }
+
+    if (query.minRating !== undefined && query.minRating !== '') {
+        const minRating = Number(query.minRating);
+        if (!Number.isFinite(minRating) || minRating < 0 || minRating > 1) {
+            throw new Error('minRating must be between 0 and 1');
+        }
+        if (minRating > 0) {
+            conditions.push('CAST(rating AS REAL) >= ?');
+            params.push(minRating);
+        }
+    }
+
+    for (const field of ['genre', 'developer']) {
+        const value = String(query[field] || '').trim();
+        if (!value) continue;
+        conditions.push(`${field} LIKE ?`);
+        params.push(`%${value}%`);
+    }
+
+    const mediaFlags = { hasVideo: 'video_path', hasCover: 'image_path' };
+    for (const [param, column] of Object.entries(mediaFlags)) {
+        const flag = parseFlag(query[param]);
+        if (flag === null) continue;
+        conditions.push(`COALESCE(${column}, '') ${flag ? '!=' : '='} ''`);
+    }
+
+    return { conditions, params };
+}
+
+module.exports = {
+    isFtsAvailable,
+    buildGameFilters
+};
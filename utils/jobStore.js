@@ -0,0 +1,181 @@
+/**
+ * jobStore.js
+ * 同步任务持久化：把主机同步 / 单游戏刷新任务及其逐文件子任务写入 SQLite
+ * * 说明：
+ * 1. 任务状态：pending (排队) / running (执行中) / done / failed / stopped (被手动中止)。
+ * 2. 服务重启后，scanner 通过 getUnfinishedJobs + getUnfinishedTasks 接着跑未完成的部分。
+ * 3. 所有写操作都是“尽力而为”，失败只打日志，不影响同步流程本身。
+ */
+const db = require('../db/database');
+
+function logError (action) {
+    return (err) => {
+        if (err) console.error(`[Jobs] ${action}失败:`, err.message);
+    };
+}
+
+function createJob (kind, system, options = null) {
+    return new Promise((resolve) => {
+        db.run(
+            'INSERT INTO sync_jobs (kind, system, options, status) VALUES (?, ?, ?, ?)',
+            [kind, system, JSON.stringify(options || null), 'pending'],
+            function (err) {
+                if (err) console.error('[Jobs] 创建任务失败:', err.message);
+                resolve(err ? null : this.lastID);
+            }
+        );
+    });
+}
+
+function markJobRunning (jobId) {
+    if (!jobId) return;
+    db.run(
+        "UPDATE sync_jobs SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE id = ?",
+        [jobId],
+        logError('更新任务状态')
+    );
+}
+
+function finishJob (jobId, status, message = null) {
+    if (!jobId) return;
+    db.run(
+        `UPDATE sync_jobs SET status = ?, message = COALESCE(?, message), finished_at = CURRENT_TIMESTAMP,
+            done_count = (SELECT COUNT(*) FROM sync_tasks WHERE job_id = ? AND status = 'done'),
+            failed_count = (SELECT COUNT(*) FROM sync_tasks WHERE job_id = ? AND status = 'failed')
+         WHERE id = ? AND status IN ('pending', 'running')`,
+        [status, message, jobId, jobId, jobId],
+        logError('结束任务')
+    );
+}
+
+// 任务仍在排队时修改其选项 (例如并入更多 onlyFiles)
+function updateJobOptions (jobId, options) {
+    if (!jobId) return Promise.resolve();
+    return new Promise((resolve) => {
+        db.run(
+            "UPDATE sync_jobs SET options = ? WHERE id = ? AND status = 'pending'",
+            [JSON.stringify(options || null), jobId],
+            (err) => {
+                logError('更新任务选项')(err);
+                resolve();
+            }
+        );
+    });
+}
+
+// 中止所有未完成的任务 (stopSync 时调用)
+function stopAllJobs () {
+    db.run(
+        `UPDATE sync_jobs SET status = 'stopped', finished_at = CURRENT_TIMESTAMP
+         WHERE status IN ('pending', 'running')`,
+        logError('中止任务')
+    );
+}
+
+// 登记本次要处理的文件列表，并写入总数
+function addTasks (jobId, filenames) {
+    if (!jobId) return Promise.resolve();
+    return new Promise((resolve) => {
+        db.serialize(() => {
+            db.run('BEGIN TRANSACTION', logError('开始事务'));
+            const stmt = db.prepare('INSERT OR IGNORE INTO sync_tasks (job_id, filename) VALUES (?, ?)');
+            filenames.forEach((f) => stmt.run(jobId, f, logError('登记子任务')));
+            stmt.finalize();
+            db.run('UPDATE sync_jobs SET total = ? WHERE id = ?', [filenames.length, jobId], logError('登记子任务'));
+            db.run('COMMIT', (err) => {
+                logError('登记子任务')(err);
+                resolve();
+            });
+        });
+    });
+}
+
+function setTaskStatus (jobId, filename, status, error = null) {
+    if (!jobId) return Promise.resolve();
+    return new Promise((resolve) => {
+        db.run(
+            'UPDATE sync_tasks SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP WHERE job_id = ? AND filename = ?',
+            [status, error, jobId, filename],
+            (err) => {
+                logError('更新子任务')(err);
+                resolve();
+            }
+        );
+    });
+}
+
+function getUnfinishedJobs () {
+    return new Promise((resolve) => {
+        db.all(
+            "SELECT * FROM sync_jobs WHERE status IN ('pending', 'running') ORDER BY status = 'running' DESC, id ASC",
+            (err, rows) => {
+                logError('查询未完成任务')(err);
+                resolve(rows || []);
+            }
+        );
+    });
+}
+
+// 返回 { total, done, pending: [filename...] }；total 为 0 说明还没来得及登记子任务
+function getUnfinishedTasks (jobId) {
+    return new Promise((resolve) => {
+        db.all('SELECT filename, status FROM sync_tasks WHERE job_id = ? ORDER BY id ASC', [jobId], (err, rows) => {
+            logError('查询子任务')(err);
+            rows = rows || [];
+            resolve({
+                total: rows.length,
+                done: rows.filter((r) => r.status === 'done' || r.status === 'failed').length,
+                pending: rows.filter((r) => r.status === 'pending' || r.status === 'running').map((r) => r.filename)
+            });
+        });
+    });
+}
+
+function listJobs (limit = 50) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM sync_jobs ORDER BY id DESC LIMIT ?', [limit], (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows.map((r) => ({ ...r, options: parseOptions(r.options) })));
+        });
+    });
+}
+
+function getJob (jobId) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT * FROM sync_jobs WHERE id = ?', [jobId], (err, job) => {
+            if (err) return reject(err);
+            if (!job) return resolve(null);
+            db.all(
+                'SELECT filename, status, error, updated_at FROM sync_tasks WHERE job_id = ? ORDER BY id ASC',
+                [jobId],
+                (err, tasks) => {
+                    if (err) return reject(err);
+                    resolve({ ...job, options: parseOptions(job.options), tasks });
+                }
+            );
+        });
+    });
+}
+
+function parseOptions (raw) {
+    try {
+        return JSON.parse(raw || 'null');
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    createJob,
+    markJobRunning,
+    finishJob,
+    updateJobOptions,
+    stopAllJobs,
+    addTasks,
+    setTaskStatus,
+    getUnfinishedJobs,
+    getUnfinishedTasks,
+    listJobs,
+    getJob,
+    parseOptions
+};
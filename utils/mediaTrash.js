@@ -0,0 +1,196 @@
+/**
+ * mediaTrash.js
+ * 媒体回收站：清理冗余资源时不直接删除文件，而是移入 mediaDir 下按日期归档的隔离目录
+ * * 说明：
+ * 1. 目录结构为 .trash/<YYYY-MM-DD>/<system>/<folder>/<file>，点号开头不会被静态服务暴露。
+ * 2. 超过保留天数 (config.mediaTrashRetentionDays，默认 30 天) 的日期目录会被整体删除。
+ * 3. 条目 id 即相对回收站的路径，恢复时原样移回 <system>/<folder>/<file>。
+ * 4. 恢复后按文件名 (ROM 文件名或游戏名) 重新关联到 games 对应的媒体字段；找不到对应游戏时记入 media_keep，
+ *    之后的冗余清理不再把它移回回收站。
+ * 5. 回收站中的文件不在静态目录下，预览走 /api/media-trash/file?id=...。
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const db = require('../db/database');
+
+// 媒体目录 -> games 中对应的字段
+const FOLDER_COLUMNS = {
+    covers: 'image_path',
+    videos: 'video_path',
+    marquees: 'marquee_path',
+    boxtextures: 'box_texture_path',
+    screenshots: 'screenshot_path'
+};
+
+const TRASH_DIR = path.join(config.mediaDir, '.trash');
+const DEFAULT_RETENTION_DAYS = 30;
+
+function getRetentionDays () {
+    const days = Number(config.mediaTrashRetentionDays);
+    return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function today () {
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// 把媒体文件移入回收站，返回条目 id；同一天重复清理同名文件时追加时间戳避免覆盖
+function quarantine (system, folder, file) {
+    const src = path.join(config.mediaDir, system, folder, file);
+    const dateDir = today();
+    let target = path.join(TRASH_DIR, dateDir, system, folder, file);
+    if (fs.existsSync(target)) {
+        const ext = path.extname(file);
+        target = path.join(TRASH_DIR, dateDir, system, folder, `${path.basename(file, ext)}.${Date.now()}${ext}`);
+    }
+    fs.moveSync(src, target);
+    return path.relative(TRASH_DIR, target).split(path.sep).join('/');
+}
+
+// 列出回收站中的全部文件 (可按主机过滤)，最新的排在前面
+// 只列出子目录 / 普通文件，回收站里混入的 .DS_Store 等杂项不影响遍历
+function readEntries (dir, wantDirs) {
+    return fs
+        .readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => (wantDirs ? entry.isDirectory() : entry.isFile()))
+        .map((entry) => entry.name);
+}
+
+function list (system = null) {
+    const items = [];
+    if (!fs.existsSync(TRASH_DIR)) return items;
+
+    for (const date of readEntries(TRASH_DIR, true).sort().reverse()) {
+        const dateDir = path.join(TRASH_DIR, date);
+        for (const sys of readEntries(dateDir, true)) {
+            if (system && sys !== system) continue;
+            for (const folder of readEntries(path.join(dateDir, sys), true)) {
+                const folderDir = path.join(dateDir, sys, folder);
+                for (const file of readEntries(folderDir, false)) {
+                    const stat = fs.statSync(path.join(folderDir, file));
+                    items.push({
+                        id: [date, sys, folder, file].join('/'),
+                        date,
+                        system: sys,
+                        folder,
+                        file,
+                        size: stat.size,
+                        path: `${sys}/${folder}/${file}`,
+                        url: `/api/media-trash/file?id=${encodeURIComponent([date, sys, folder, file].join('/'))}`
+                    });
+                }
+            }
+        }
+    }
+    return items;
+}
+
+// 校验条目 id 并返回 { parts, fullPath }；id 非法时抛错
+function resolveItem (id) {
+    const parts = String(id || '').split('/');
+    if (parts.length !== 4 || parts.some((p) => !p || p === '.' || p === '..')) {
+        throw new Error('Invalid trash id');
+    }
+    return { parts, fullPath: path.join(TRASH_DIR, ...parts) };
+}
+
+// 回收站中文件的绝对路径 (供预览)，不存在时返回 null
+function getItemPath (id) {
+    const { fullPath } = resolveItem(id);
+    return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile() ? fullPath : null;
+}
+
+// 恢复到原位置；原位置已有同名文件时拒绝覆盖
+function restore (id) {
+    const { parts, fullPath: src } = resolveItem(id);
+    const [, system, folder, file] = parts;
+    if (!fs.existsSync(src)) throw new Error('Trash item not found');
+
+    // 去掉同日重名时追加的时间戳后缀
+    const originalName = file.replace(/\.\d{13}(\.[^.]*)?$/, '$1');
+    const target = path.join(config.mediaDir, system, folder, originalName);
+    if (fs.existsSync(target)) throw new Error('Target file already exists');
+
+    fs.moveSync(src, target);
+    return `${system}/${folder}/${originalName}`;
+}
+
+function dbAll (sql, params) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+function dbRun (sql, params) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) return reject(err);
+            resolve(this.changes);
+        });
+    });
+}
+
+/**
+ * 把恢复的文件重新关联到游戏：文件名 (不含扩展名) 与 ROM 文件名或游戏名一致的记录，对应媒体字段改为该文件
+ * 没有匹配的游戏时记入 media_keep；返回关联的记录数
+ */
+async function relinkRestored (relPath) {
+    const [system, folder, file] = relPath.split('/');
+    const column = FOLDER_COLUMNS[folder];
+    if (!column) return 0;
+
+    const stem = path.basename(file, path.extname(file)).toLowerCase();
+    const rows = await dbAll('SELECT id, filename, name FROM games WHERE system = ?', [system]);
+    const ids = rows
+        .filter((row) => {
+            const romStem = path.posix.basename(row.filename, path.extname(row.filename)).toLowerCase();
+            const safeName = String(row.name || '').replace(/[\\/:*?"<>|]/g, '-').trim().toLowerCase();
+            return romStem === stem || safeName === stem;
+        })
+        .map((row) => row.id);
+
+    if (!ids.length) {
+        await dbRun('INSERT OR IGNORE INTO media_keep (path) VALUES (?)', [relPath]);
+        return 0;
+    }
+    return dbRun(`UPDATE games SET ${column} = ? WHERE id IN (${ids.map(() => '?').join(', ')})`, [relPath, ...ids]);
+}
+
+// 不参与冗余清理的媒体路径 (相对 mediaDir)
+async function getKeptPaths (system) {
+    const prefix = `${system.replace(/[\\%_]/g, '\\$&')}/%`;
+    const rows = await dbAll("SELECT path FROM media_keep WHERE path LIKE ? ESCAPE '\\'", [prefix]);
+    return rows.map((row) => row.path);
+}
+
+// 删除超过保留期的日期目录，返回删除的目录数
+function purgeExpired () {
+    if (!fs.existsSync(TRASH_DIR)) return 0;
+    const cutoff = Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const date of fs.readdirSync(TRASH_DIR)) {
+        const time = new Date(`${date}T00:00:00`).getTime();
+        if (Number.isNaN(time) || time >= cutoff) continue;
+        try {
+            fs.removeSync(path.join(TRASH_DIR, date));
+            removed++;
+        } catch (e) {
+            console.error(`[Trash] 删除过期目录失败: ${date}`, e.message);
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    quarantine,
+    list,
+    getItemPath,
+    restore,
+    relinkRestored,
+    getKeptPaths,
+    purgeExpired
+};
@@ -0,0 +1,172 @@
+/**
+ * providers/gamelist.js
+ * 离线抓取源：读取 Batocera / RetroPie / ES-DE 留在 ROM 目录中的 EmulationStation gamelist.xml
+ * * 说明：
+ * 1. 文件位置：roms/<system>/gamelist.xml，用 sax 流式解析，按文件修改时间缓存。
+ * 2. 以 <path> 去掉开头的 "./" 后与 ROM 文件名匹配；找不到时再按去扩展名后的名字匹配。
+ * 3. 媒体路径 (image / thumbnail / video / marquee) 相对 gamelist.xml 所在目录解析，存在的文件以 file:// 链接返回，
+ *    由扫描器复制进媒体库，不走网络下载。
+ * 4. gamelist.xml 不可信：解析后 (含符号链接) 落在 romsDir / mediaDir 之外的路径一律忽略，避免把任意本机文件复制进公开的媒体库。
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const sax = require('sax');
+const config = require('../../config');
+
+const GAMELIST_FILE = 'gamelist.xml';
+const TEXT_FIELDS = [
+    'path',
+    'name',
+    'desc',
+    'rating',
+    'releasedate',
+    'developer',
+    'publisher',
+    'genre',
+    'players',
+    'image',
+    'thumbnail',
+    'video',
+    'marquee'
+];
+
+// system -> { mtime, byPath, byStem }
+const gamelistCache = {};
+
+function parseGamelist (xml) {
+    const entries = [];
+    const parser = sax.parser(false, { lowercase: true });
+    let current = null;
+    let field = null;
+
+    parser.onopentag = (node) => {
+        if (node.name === 'game') current = {};
+        else if (current && TEXT_FIELDS.includes(node.name)) field = node.name;
+    };
+    parser.ontext = parser.oncdata = (text) => {
+        if (current && field) current[field] = (current[field] || '') + text;
+    };
+    parser.onclosetag = (name) => {
+        if (name === 'game') {
+            if (current && current.path) entries.push(current);
+            current = null;
+        } else if (name === field) {
+            if (current[field]) current[field] = current[field].trim();
+            field = null;
+        }
+    };
+    // 非严格模式下遇到坏标签继续往下解析，尽量多拿数据
+    parser.onerror = () => {
+        parser.error = null;
+        parser.resume();
+    };
+
+    parser.write(xml).close();
+    return entries;
+}
+
+function normalizeRomPath (p) {
+    return p.replace(/\\/g, '/').replace(/^\.\//, '').toLowerCase();
+}
+
+function loadGamelist (system) {
+    const filePath = path.join(config.romsDir, system, GAMELIST_FILE);
+    if (!fs.existsSync(filePath)) return null;
+
+    const mtime = fs.statSync(filePath).mtimeMs;
+    const cached = gamelistCache[system];
+    if (cached && cached.mtime === mtime) return cached;
+
+    const byPath = {};
+    const byStem = {};
+    try {
+        for (const entry of parseGamelist(fs.readFileSync(filePath, 'utf8'))) {
+            const key = normalizeRomPath(entry.path);
+            byPath[key] = entry;
+            const stem = path.basename(key, path.extname(key));
+            if (!byStem[stem]) byStem[stem] = entry;
+        }
+        console.log(`[Gamelist] ${system}: 读取 ${Object.keys(byPath).length} 条记录`);
+    } catch (e) {
+        console.error(`[Gamelist] 解析失败: ${filePath} - ${e.message}`);
+    }
+
+    gamelistCache[system] = { mtime, byPath, byStem };
+    return gamelistCache[system];
+}
+
+// 目录本身可能是符号链接，按真实路径比较；不存在的目录不作为允许的根
+function realRoots () {
+    return [config.romsDir, config.mediaDir].filter(Boolean).flatMap((root) => {
+        try {
+            return [fs.realpathSync(root)];
+        } catch (e) {
+            return [];
+        }
+    });
+}
+
+function isInside (root, target) {
+    const rel = path.relative(root, target);
+    return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+// gamelist 中的媒体路径通常是 ./media/...；绝对路径只接受 ROM / 媒体目录之内的
+function resolveMedia (system, mediaPath) {
+    if (!mediaPath) return '';
+    const gamelistDir = path.join(config.romsDir, system);
+    try {
+        const realPath = fs.realpathSync(path.resolve(gamelistDir, mediaPath.replace(/\\/g, '/')));
+        if (!realRoots().some((root) => isInside(root, realPath))) return '';
+
+        const stat = fs.statSync(realPath);
+        if (stat.isFile() && stat.size > 0) return pathToFileURL(realPath).href;
+    } catch (e) {}
+    return '';
+}
+
+// ES 日期格式为 19850913T000000，统一成 ScreenScraper 的 1985-09-13
+function normalizeDate (raw) {
+    const m = /^(\d{4})(\d{2})(\d{2})T/.exec(raw || '');
+    if (!m) return raw || '';
+    return m[2] === '00' ? m[1] : `${m[1]}-${m[2]}-${m[3]}`;
+}
+
+function toGameInfo (system, filename, entry) {
+    const rating = parseFloat(entry.rating);
+    return {
+        name: entry.name || path.basename(filename, path.extname(filename)),
+        desc: entry.desc || '暂无简介',
+        rating: Number.isFinite(rating) ? rating.toFixed(2) : '0',
+        releasedate: normalizeDate(entry.releasedate),
+        developer: entry.developer || '',
+        publisher: entry.publisher || '',
+        genre: entry.genre || '',
+        players: entry.players || '',
+        // 有 thumbnail 时它通常是封面，image 则是截图 / 拼图
+        boxArtUrl: resolveMedia(system, entry.thumbnail || entry.image),
+        screenUrl: entry.thumbnail ? resolveMedia(system, entry.image) : '',
+        videoUrl: resolveMedia(system, entry.video),
+        marqueeUrl: resolveMedia(system, entry.marquee),
+        boxTextureUrl: ''
+    };
+}
+
+module.exports = {
+    id: 'gamelist',
+    name: 'EmulationStation gamelist.xml',
+
+    isAvailable () {
+        return true;
+    },
+
+    async fetchGameInfo ({ system, filename }) {
+        const gamelist = loadGamelist(system);
+        if (!gamelist) return null;
+
+        const key = normalizeRomPath(filename);
+        const entry = gamelist.byPath[key] || gamelist.byStem[path.basename(key, path.extname(key))];
+        return entry ? toGameInfo(system, filename, entry) : null;
+    }
+};
@@ -0,0 +1,75 @@
+/**
+ * providers/index.js
+ * 抓取源注册表：按顺序依次尝试各个元数据来源，第一个命中的结果生效
+ * * 说明：
+ * 1. 顺序优先取 systems.json 中该主机的 providers 数组，其次 config.scraperProviders，最后默认为 本地 json -> gamelist.xml -> ScreenScraper。
+ * 2. 每个抓取源导出 { id, name, isAvailable(), fetchGameInfo(ctx) }，ctx 为 { system, filename, fullPath, scraperId, logger, ssGameId }。
+ * 3. 返回结果附带 provider 字段，由扫描器写入 games.scraper_provider；配额错误原样抛出交给队列暂停。
+ * 4. ROM 已手动绑定 ScreenScraper 游戏 id (scraper_bindings) 时优先按 id 抓取，忽略抓取源顺序；按 id 获取失败才回到常规流程。
+ * 5. 结果附带 matchedBy (匹配方式，本地类抓取源为其 id)，由扫描器写入 games.scrape_status；
+ *    所有抓取源都未命中且其中有抓取源出错时抛出最后一个错误，扫描器据此记为 error。
+ */
+const config = require('../../config');
+const scraper = require('../scraper');
+const bindings = require('../scraperBindings');
+const local = require('./local');
+const gamelist = require('./gamelist');
+const screenscraper = require('./screenscraper');
+
+const DEFAULT_ORDER = ['local', 'gamelist', 'screenscraper'];
+
+const registry = {};
+
+function register (provider) {
+    registry[provider.id] = provider;
+}
+
+register(local);
+register(gamelist);
+register(screenscraper);
+
+function getProviderOrder (sysInfo) {
+    if (sysInfo && Array.isArray(sysInfo.providers) && sysInfo.providers.length) return sysInfo.providers;
+    if (Array.isArray(config.scraperProviders) && config.scraperProviders.length) return config.scraperProviders;
+    return DEFAULT_ORDER;
+}
+
+async function fetchGameInfo ({ system, filename, fullPath, sysInfo, logger, ssGameId = null }) {
+    const log = logger || console.log;
+    const scraperId = sysInfo ? sysInfo.scraper_id : undefined;
+
+    const binding = await bindings.getBinding(system, filename);
+    if (binding && screenscraper.isAvailable()) {
+        const data = await scraper.fetchGameById(scraperId, binding.game_id, filename);
+        if (data) return { ...data, provider: screenscraper.id, matchedBy: 'pinned' };
+        log(`⚠️ 绑定的游戏 ID ${binding.game_id} 获取失败，改用常规匹配`);
+    }
+
+    let lastError = null;
+    for (const id of getProviderOrder(sysInfo)) {
+        const provider = registry[id];
+        if (!provider) {
+            log(`⚠️ 未知的抓取源: ${id}`);
+            continue;
+        }
+        if (!provider.isAvailable()) continue;
+
+        try {
+            const data = await provider.fetchGameInfo({ system, filename, fullPath, scraperId, logger: log, ssGameId });
+            if (data) return { matchedBy: provider.id, ...data, provider: provider.id };
+        } catch (e) {
+            if (e instanceof scraper.ScraperQuotaError) throw e;
+            log(`⚠️ [${provider.name}] 抓取出错: ${e.message}`);
+            lastError = new Error(`[${provider.name}] ${e.message}`);
+        }
+    }
+    if (lastError) throw lastError;
+    return null;
+}
+
+module.exports = {
+    register,
+    getProviderOrder,
+    fetchGameInfo,
+    listProviders: () => Object.values(registry).map((p) => ({ id: p.id, name: p.name, available: p.isAvailable() }))
+};
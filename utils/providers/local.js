@@ -0,0 +1,80 @@
+/**
+ * providers/local.js
+ * 离线抓取源：读取 ROM 目录中手工维护的元数据，不依赖网络与账号
+ * * 支持两种写法 (字段同 games 表：name / desc / developer / publisher / genre / players / rating / releasedate)：
+ * 1. 同名旁车文件：roms/<system>/<ROM 文件名去扩展名>.json
+ * 2. 主机级汇总文件：roms/<system>/metadata.json，以 ROM 文件名或去扩展名后的名字为键
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../../config');
+
+const METADATA_FILE = 'metadata.json';
+const FIELDS = ['name', 'desc', 'developer', 'publisher', 'genre', 'players', 'rating', 'releasedate'];
+
+// 主机级汇总文件按修改时间缓存，避免每个游戏都重新解析
+const metadataCache = {};
+
+function readJsonSafe (filePath) {
+    try {
+        return fs.readJsonSync(filePath);
+    } catch (e) {
+        console.error(`[Local] 解析失败: ${filePath} - ${e.message}`);
+        return null;
+    }
+}
+
+function loadSystemMetadata (system) {
+    const filePath = path.join(config.romsDir, system, METADATA_FILE);
+    if (!fs.existsSync(filePath)) return null;
+
+    const mtime = fs.statSync(filePath).mtimeMs;
+    const cached = metadataCache[system];
+    if (cached && cached.mtime === mtime) return cached.data;
+
+    const data = readJsonSafe(filePath);
+    metadataCache[system] = { mtime, data };
+    return data;
+}
+
+function normalize (raw, filename) {
+    const info = {};
+    for (const field of FIELDS) {
+        if (raw[field] !== undefined && raw[field] !== null && raw[field] !== '') info[field] = String(raw[field]);
+    }
+    if (!info.name) info.name = path.basename(filename, path.extname(filename));
+    if (!info.desc) info.desc = '暂无简介';
+
+    // 离线数据不提供媒体链接，图片仍由扫描器从本地媒体目录按文件名匹配
+    return {
+        ...info,
+        boxArtUrl: '',
+        screenUrl: '',
+        videoUrl: '',
+        marqueeUrl: '',
+        boxTextureUrl: ''
+    };
+}
+
+module.exports = {
+    id: 'local',
+    name: '本地元数据',
+
+    isAvailable () {
+        return true;
+    },
+
+    async fetchGameInfo ({ system, filename }) {
+        const stem = path.basename(filename, path.extname(filename));
+
+        const sidecar = path.join(config.romsDir, system, path.dirname(filename), `${stem}.json`);
+        if (fs.existsSync(sidecar)) {
+            const raw = readJsonSafe(sidecar);
+            if (raw) return normalize(raw, filename);
+        }
+
+        const metadata = loadSystemMetadata(system);
+        const entry = metadata && (metadata[filename] || metadata[stem]);
+        return entry ? normalize(entry, filename) : null;
+    }
+};
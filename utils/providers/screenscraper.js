@@ -0,0 +1,20 @@
+/**
+ * providers/screenscraper.js
+ * ScreenScraper 在线抓取源：直接复用 utils/scraper.js 的 MD5 -> 文件名 -> 模糊搜索匹配流程
+ * 已记录过游戏 id (games.ss_game_id) 时先按 id 获取，失败才走匹配流程
+ */
+const scraper = require('../scraper');
+
+module.exports = {
+    id: 'screenscraper',
+    name: 'ScreenScraper',
+
+    // 未配置开发者账号时跳过，不发起任何网络请求
+    isAvailable () {
+        return scraper.isConfigured();
+    },
+
+    fetchGameInfo ({ system, filename, fullPath, scraperId, logger, ssGameId }) {
+        return scraper.fetchGameInfo(system, filename, fullPath, scraperId, logger, ssGameId);
+    }
+};
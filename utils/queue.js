@@ -1,11 +1,49 @@
 const events = require('events');
 
+// 【修改】由单线程串行执行改为可配置并发数的工作池，节流交给 scraper 的令牌桶限流器
 class TaskQueue extends events.EventEmitter {
-    constructor () {
+    constructor (concurrency = 1) {
         super();
         this.normalQueue = [];
         this.expressQueue = []; // 【新增】VIP 快车道队列
-        this.processing = false;
+        this.concurrency = concurrency;
+        this.active = 0;
+        this.pausedUntil = null; // 【新增】配额用尽时暂停派发，到点自动恢复
+        this.resumeTimer = null;
+    }
+
+    // 暂停派发新任务直到 resumeAt (正在执行的任务不受影响)
+    pause (resumeAt) {
+        if (this.pausedUntil && this.pausedUntil >= resumeAt) return;
+        this.pausedUntil = resumeAt;
+        if (this.resumeTimer) clearTimeout(this.resumeTimer);
+        this.resumeTimer = setTimeout(() => this.resume(), Math.max(0, resumeAt - Date.now()));
+        this.emit('paused', resumeAt);
+    }
+
+    resume () {
+        if (!this.pausedUntil) return;
+        if (this.resumeTimer) clearTimeout(this.resumeTimer);
+        this.pausedUntil = null;
+        this.resumeTimer = null;
+        this.emit('resumed');
+        this.processNext();
+    }
+
+    // 把执行失败需要重试的任务放回队首
+    requeue (task, isExpress = false) {
+        (isExpress ? this.expressQueue : this.normalQueue).unshift(task);
+        this.processNext();
+    }
+
+    // 调整并发线程数 (如读取到 ScreenScraper 账号的 maxthreads 后)
+    setConcurrency (n) {
+        const next = Math.max(1, parseInt(n, 10) || 1);
+        if (next !== this.concurrency) {
+            console.log(`[Queue] 工作线程数: ${this.concurrency} -> ${next}`);
+            this.concurrency = next;
+        }
+        this.processNext();
     }
 
     // 【修改】增加 isExpress 参数，用于判断是否插入快车道
@@ -19,46 +57,34 @@ class TaskQueue extends events.EventEmitter {
         this.processNext();
     }
 
-    async processNext () {
-        // 如果正在处理，或者两个队列都为空，则跳过
-        if (this.processing || (this.normalQueue.length === 0 && this.expressQueue.length === 0)) return;
-
-        this.processing = true;
-
-        // 【核心修改】优先从 expressQueue 获取任务，如果为空再从 normalQueue 获取
-        let task = null;
-        if (this.expressQueue.length > 0) {
-            task = this.expressQueue.shift();
-        } else {
-            task = this.normalQueue.shift();
+    processNext () {
+        if (this.pausedUntil) return;
+        // 有空闲线程就持续派发；【核心】优先从 expressQueue 获取任务，如果为空再从 normalQueue 获取
+        while (this.active < this.concurrency && this.length > 0) {
+            const task = this.expressQueue.length > 0 ? this.expressQueue.shift() : this.normalQueue.shift();
+            this.active++;
+            this.runTask(task);
         }
+    }
 
+    async runTask (task) {
         try {
-            if (task) await task();
+            await task();
         } catch (e) {
             console.error('任务执行出错:', e);
         } finally {
-            // 只要任何一个队列还有任务，就继续设置定时器循环
-            if (this.normalQueue.length > 0 || this.expressQueue.length > 0) {
-                // 稍微延时，给 API 喘息机会
-                setTimeout(() => {
-                    this.processing = false;
-                    this.processNext();
-                }, 1000);
-            } else {
-                this.processing = false;
-            }
+            this.active--;
+            setImmediate(() => this.processNext());
         }
     }
 
-    // 【修改】清空指令需要同时清空两个队列
+    // 【修改】清空指令需要同时清空两个队列 (正在执行的任务会自然结束)
     clear () {
         console.log(
             `[Queue] 收到清空指令，丢弃普通任务 ${this.normalQueue.length} 个，VIP任务 ${this.expressQueue.length} 个`
         );
         this.normalQueue = [];
         this.expressQueue = [];
-        this.processing = false;
     }
 
     get length () {
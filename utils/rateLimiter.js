@@ -0,0 +1,78 @@
+/**
+ * rateLimiter.js
+ * 令牌桶限流：同时限制每分钟与每天的请求数，用于保护 ScreenScraper 账号配额
+ * * 说明：
+ * 1. 两个桶都拿到令牌才放行；桶按时间匀速回填，容量即对应周期的上限。
+ * 2. acquire() 按调用顺序排队放行 (FIFO)，多个抓取线程共用同一个限流器。
+ * 3. 上限为 0 表示不限制。
+ */
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TokenBucket {
+    constructor (capacity, periodMs) {
+        this.setCapacity(capacity, periodMs);
+    }
+
+    setCapacity (capacity, periodMs) {
+        this.capacity = capacity > 0 ? capacity : 0;
+        this.refillPerMs = this.capacity / periodMs;
+        this.tokens = this.capacity;
+        this.lastRefill = Date.now();
+    }
+
+    refill () {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+        this.lastRefill = now;
+    }
+
+    // 距离拿到下一个令牌还需等待的毫秒数 (0 表示现在就有)
+    waitTime () {
+        if (!this.capacity) return 0;
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+    }
+
+    take () {
+        if (this.capacity) this.tokens -= 1;
+    }
+}
+
+class RateLimiter {
+    constructor ({ perMinute = 0, perDay = 0 } = {}) {
+        this.minuteBucket = new TokenBucket(perMinute, MINUTE_MS);
+        this.dayBucket = new TokenBucket(perDay, DAY_MS);
+        this.tail = Promise.resolve();
+        this.onWait = null;
+    }
+
+    setLimits ({ perMinute = 0, perDay = 0 } = {}) {
+        this.minuteBucket.setCapacity(perMinute, MINUTE_MS);
+        this.dayBucket.setCapacity(perDay, DAY_MS);
+    }
+
+    getLimits () {
+        return { perMinute: this.minuteBucket.capacity, perDay: this.dayBucket.capacity };
+    }
+
+    acquire () {
+        const ticket = this.tail.then(() => this._take());
+        // 即使某次等待出错，也不能卡住后面的排队者
+        this.tail = ticket.catch(() => {});
+        return ticket;
+    }
+
+    async _take () {
+        for (;;) {
+            const wait = Math.max(this.minuteBucket.waitTime(), this.dayBucket.waitTime());
+            if (wait === 0) break;
+            if (this.onWait) this.onWait(wait);
+            await new Promise((resolve) => setTimeout(resolve, wait));
+        }
+        this.minuteBucket.take();
+        this.dayBucket.take();
+    }
+}
+
+module.exports = RateLimiter;
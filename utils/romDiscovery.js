@@ -0,0 +1,274 @@
+/**
+ * romDiscovery.js
+ * ROM 发现：递归遍历 roms/<system>/，返回相对主机目录的 ROM 路径 (如 "Hacks/Game.sfc")
+ * * 说明：
+ * 1. 子目录深度默认取 config.romScanDepth (0 = 只看主机根目录)，systems.json 中可用 "scan_depth" 单独覆盖。
+ * 2. 子目录的含义按主机的 "folder_mode" 决定：
+ *    - "category" (默认)：目录只是分类，继续向下查找 ROM，分类名写入 games.folder 供前端筛选；
+ *    - "game"：每个子目录就是一个游戏 (DOS / ScummVM / PC 等)，整体作为一条记录，不再深入。
+ *    无论哪种模式，目录名本身带 ROM 扩展名 (如 "Game.ps3") 时都视为一个游戏。
+ * 3. 隐藏文件 / 目录以及 media、images 等资源目录 (IGNORE_DIRS) 在任何层级都会跳过。
+ * 4. 可识别的扩展名取 systems.json 中的 "extensions"，未配置的主机使用通用的 ROM_EXTS。
+ * 5. 伴随文件：同目录下被 cue / gdi 引用、或与 cue / ccd 等索引文件同名的轨道文件 (扩展名在 "companions" 中，
+ *    未配置时为 DEFAULT_COMPANION_EXTS) 不单独算游戏；配置为空数组即关闭。
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+
+const ROM_EXTS = [
+    '.zip',
+    '.7z',
+    '.iso',
+    '.bin',
+    '.cue',
+    '.chd',
+    '.cso',
+    '.nes',
+    '.sfc',
+    '.gba',
+    '.gb',
+    '.gbc',
+    '.md',
+    '.gen',
+    '.z64',
+    '.n64',
+    '.nds',
+    '.3ds',
+    '.cia',
+    '.nsp',
+    '.xci',
+    '.wbfs',
+    '.wad',
+    '.wua',
+    '.cci',
+    '.rvz',
+    '.psv',
+    '.god',
+    '.d88',
+    '.a26',
+    '.pce',
+    '.ws',
+    '.wsc',
+    '.lnx',
+    '.col',
+    '.dsk',
+    '.adf',
+    '.sms',
+    '.gg',
+    '.32x',
+    '.smc',
+    '.v64',
+    '.gdi',
+    '.cdi',
+    '.pbp',
+    '.ngp',
+    '.ngc',
+    '.vb'
+];
+
+// 光盘索引文件：引用 / 同名的轨道文件视为它的伴随文件
+const SHEET_EXTS = ['.cue', '.ccd', '.toc', '.gdi'];
+const DEFAULT_COMPANION_EXTS = ['.bin', '.img', '.sub', '.iso', '.raw', '.wav'];
+
+const IGNORE_DIRS = [
+    'media',
+    'images',
+    'covers',
+    'screenshots',
+    'titles',
+    'wheel',
+    'marquees',
+    'boxart',
+    'boxtextures',
+    'marquee',
+    'video',
+    'videos',
+    'bios',
+    'cheats',
+    'saves',
+    'states',
+    'downloaded_images',
+    'manuals',
+    'system',
+    'tmp',
+    'temp',
+    'logs'
+];
+
+const DEFAULT_SCAN_DEPTH = 3;
+const FOLDER_MODES = ['category', 'game'];
+
+// 扩展名统一为小写、带点
+function normalizeExts (list) {
+    return list.map((e) => String(e).toLowerCase()).map((e) => (e.startsWith('.') ? e : `.${e}`));
+}
+
+function getExtensions (sysInfo = {}) {
+    return Array.isArray(sysInfo.extensions) && sysInfo.extensions.length
+        ? normalizeExts(sysInfo.extensions)
+        : ROM_EXTS;
+}
+
+function getCompanionExts (sysInfo = {}) {
+    return Array.isArray(sysInfo.companions) ? normalizeExts(sysInfo.companions) : DEFAULT_COMPANION_EXTS;
+}
+
+function isRomFile (filename, sysInfo = {}) {
+    return getExtensions(sysInfo).includes(path.extname(filename).toLowerCase());
+}
+
+function stemOf (filename) {
+    return path.basename(filename, path.extname(filename)).toLowerCase();
+}
+
+// 读取 cue (FILE "xxx.bin" BINARY) 与 gdi (1 0 4 2352 track01.bin 0) 引用的轨道文件，路径相对索引文件所在目录
+function getSheetTracks (sheetPath) {
+    let content;
+    try {
+        content = fs.readFileSync(sheetPath, 'utf8');
+    } catch (e) {
+        return [];
+    }
+
+    const tracks = [];
+    const ext = path.extname(sheetPath).toLowerCase();
+    if (ext === '.cue') {
+        const re = /^\s*FILE\s+(?:"([^"]+)"|(\S+))/gim;
+        let m;
+        while ((m = re.exec(content))) tracks.push(m[1] || m[2]);
+    } else if (ext === '.gdi') {
+        const re = /^\s*\d+\s+\d+\s+\d+\s+\d+\s+(?:"([^"]+)"|(\S+))/gm;
+        let m;
+        while ((m = re.exec(content))) tracks.push(m[1] || m[2]);
+    }
+    return tracks.map((t) => t.replace(/\\/g, '/'));
+}
+
+/**
+ * 从同一目录的文件名列表中找出应隐藏的伴随文件，返回小写文件名集合
+ * dirPath 为空时只按同名规则判断 (不读取索引文件内容)
+ */
+function findCompanions (names, companionExts, dirPath = null) {
+    const hidden = new Set();
+    if (!companionExts.length) return hidden;
+
+    const sheets = names.filter((f) => SHEET_EXTS.includes(path.extname(f).toLowerCase()));
+    if (!sheets.length) return hidden;
+
+    const sheetStems = new Set(sheets.map(stemOf));
+    const referenced = new Set();
+    if (dirPath) {
+        for (const sheet of sheets) {
+            getSheetTracks(path.join(dirPath, sheet)).forEach((t) => referenced.add(t.toLowerCase()));
+        }
+    }
+
+    for (const name of names) {
+        if (!companionExts.includes(path.extname(name).toLowerCase())) continue;
+        if (sheetStems.has(stemOf(name)) || referenced.has(name.toLowerCase())) hidden.add(name.toLowerCase());
+    }
+    return hidden;
+}
+
+function isIgnoredDir (name) {
+    return name.startsWith('.') || IGNORE_DIRS.includes(name.toLowerCase());
+}
+
+function isEmptyDir (dirPath) {
+    try {
+        return fs.readdirSync(dirPath).every((f) => f.startsWith('.'));
+    } catch (e) {
+        return true;
+    }
+}
+
+// 主机的扫描规则：{ depth, folderMode }
+function getScanRules (sysInfo = {}) {
+    let depth = DEFAULT_SCAN_DEPTH;
+    if (Number.isInteger(sysInfo.scan_depth)) depth = sysInfo.scan_depth;
+    else if (Number.isInteger(config.romScanDepth)) depth = config.romScanDepth;
+    const folderMode = FOLDER_MODES.includes(sysInfo.folder_mode) ? sysInfo.folder_mode : 'category';
+    return { depth: Math.max(0, depth), folderMode };
+}
+
+// romsDir 下的主机目录 (跳过隐藏目录与资源目录)
+function listSystems () {
+    try {
+        return fs.readdirSync(config.romsDir).filter((d) => {
+            if (isIgnoredDir(d)) return false;
+            return fs.statSync(path.join(config.romsDir, d)).isDirectory();
+        });
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * 列出主机目录下的全部 ROM，返回按路径排序的相对路径数组 (分隔符统一为 "/")
+ * 目录不存在时抛出 fs 错误，由调用方决定如何记录
+ */
+function listRomFiles (system, sysInfo = {}) {
+    const { depth, folderMode } = getScanRules(sysInfo);
+    const systemDir = path.join(config.romsDir, system);
+    const results = [];
+
+    const extensions = getExtensions(sysInfo);
+    const companionExts = getCompanionExts(sysInfo);
+    const isRom = (name) => extensions.includes(path.extname(name).toLowerCase());
+
+    const walk = (relDir, level) => {
+        const absDir = path.join(systemDir, relDir);
+        const entries = fs.readdirSync(absDir, { withFileTypes: true });
+        const files = [];
+        for (const entry of entries) {
+            const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+            let isDir = entry.isDirectory();
+            if (entry.isSymbolicLink()) {
+                try {
+                    isDir = fs.statSync(path.join(systemDir, relPath)).isDirectory();
+                } catch (e) {
+                    continue; // 失效的软链接
+                }
+            }
+
+            if (!isDir) {
+                if (!entry.name.startsWith('.')) files.push(entry.name);
+                continue;
+            }
+            if (isIgnoredDir(entry.name)) continue;
+
+            if (isRom(entry.name)) results.push(relPath);
+            else if (folderMode === 'game') {
+                if (!isEmptyDir(path.join(systemDir, relPath))) results.push(relPath);
+            } else if (level < depth) walk(relPath, level + 1);
+        }
+
+        const hidden = findCompanions(files, companionExts, absDir);
+        for (const name of files) {
+            if (isRom(name) && !hidden.has(name.toLowerCase())) results.push(relDir ? `${relDir}/${name}` : name);
+        }
+    };
+
+    walk('', 0);
+    return results.sort();
+}
+
+// "Hacks/Game.sfc" -> "Hacks"，根目录下的 ROM 返回空字符串
+function getRomFolder (filename) {
+    const dir = path.posix.dirname(filename.replace(/\\/g, '/'));
+    return dir === '.' ? '' : dir;
+}
+
+module.exports = {
+    ROM_EXTS,
+    IGNORE_DIRS,
+    SHEET_EXTS,
+    isRomFile,
+    getExtensions,
+    getScanRules,
+    getSheetTracks,
+    listSystems,
+    listRomFiles,
+    getRomFolder
+};
@@ -0,0 +1,185 @@
+/**
+ * romHash.js
+ * ROM 文件校验值计算：一次读取同时得到 size / CRC32 / MD5 / SHA1
+ * * 说明：
+ * 1. 普通文件流式读取，不会整体载入内存。
+ * 2. zip 压缩包额外给出包内每个文件的校验值 (adm-zip)；CRC32 直接取 zip 头，超过 ZIP_HASH_LIMIT 的条目不解压算 MD5/SHA1。
+ * 3. CRC32 自带查表实现，不依赖较新 Node 版本才有的 zlib.crc32。
+ * 4. getFileHashes / getZipEntryHashes 带 rom_files 表缓存，文件大小或修改时间不变时直接复用，抓取器与 DAT 校验共用。
+ */
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const config = require('../config');
+const db = require('../db/database');
+
+const ZIP_HASH_LIMIT = 256 * 1024 * 1024;
+
+// 入库时预先计算校验值的文件大小上限，更大的文件 (光盘镜像等) 只在确实需要时才计算
+const PREHASH_LIMIT = 64 * 1024 * 1024;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32Update (crc, buf) {
+    for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    return crc;
+}
+
+function crcHex (crc) {
+    return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+}
+
+function hashBuffer (buf) {
+    return {
+        size: buf.length,
+        crc32: crcHex(crc32Update(0xffffffff, buf)),
+        md5: crypto.createHash('md5').update(buf).digest('hex'),
+        sha1: crypto.createHash('sha1').update(buf).digest('hex')
+    };
+}
+
+function hashFile (filePath) {
+    return new Promise((resolve, reject) => {
+        const md5 = crypto.createHash('md5');
+        const sha1 = crypto.createHash('sha1');
+        let crc = 0xffffffff;
+        let size = 0;
+        const stream = fs.createReadStream(filePath);
+        stream.on('data', (data) => {
+            md5.update(data);
+            sha1.update(data);
+            crc = crc32Update(crc, data);
+            size += data.length;
+        });
+        stream.on('end', () => resolve({ size, crc32: crcHex(crc), md5: md5.digest('hex'), sha1: sha1.digest('hex') }));
+        stream.on('error', (err) => reject(err));
+    });
+}
+
+// 返回 [{ name, size, crc32, md5, sha1 }]，无法解压的条目只带 zip 头中的 size / crc32
+function hashZipEntries (filePath) {
+    const zip = new AdmZip(filePath);
+    return zip
+        .getEntries()
+        .filter((entry) => !entry.isDirectory)
+        .map((entry) => {
+            const base = {
+                name: entry.entryName,
+                size: entry.header.size,
+                crc32: (entry.header.crc >>> 0).toString(16).padStart(8, '0'),
+                md5: null,
+                sha1: null
+            };
+            if (entry.header.size > ZIP_HASH_LIMIT) return base;
+            try {
+                return { ...hashBuffer(entry.getData()), name: entry.entryName };
+            } catch (e) {
+                return base;
+            }
+        });
+}
+
+function isZip (filePath) {
+    return path.extname(filePath).toLowerCase() === '.zip';
+}
+
+// 缓存键与 games.path 一致：相对 romsDir 的路径
+function toCacheKey (fullPath) {
+    return path.relative(config.romsDir, fullPath).replace(/\\/g, '/');
+}
+
+function getCacheRow (key) {
+    return new Promise((resolve) => {
+        db.get('SELECT * FROM rom_files WHERE path = ?', [key], (err, row) => {
+            if (err) console.error('[Hash] 查询缓存失败:', err.message);
+            resolve(row || null);
+        });
+    });
+}
+
+function saveCacheRow (key, stat, hashes, zipEntries = null) {
+    return new Promise((resolve) => {
+        db.run(
+            `INSERT OR REPLACE INTO rom_files (path, size, mtime, crc32, md5, sha1, zip_entries, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [key, stat.size, Math.floor(stat.mtimeMs), hashes.crc32, hashes.md5, hashes.sha1, zipEntries],
+            (err) => {
+                if (err) console.error('[Hash] 写入缓存失败:', err.message);
+                resolve();
+            }
+        );
+    });
+}
+
+function isFresh (row, stat) {
+    return row && row.size === stat.size && row.mtime === Math.floor(stat.mtimeMs);
+}
+
+// 整文件校验值 { size, crc32, md5, sha1 }，优先取缓存
+async function getFileHashes (fullPath) {
+    const stat = await fs.stat(fullPath);
+    const key = toCacheKey(fullPath);
+    const row = await getCacheRow(key);
+    if (isFresh(row, stat) && row.sha1) return { size: row.size, crc32: row.crc32, md5: row.md5, sha1: row.sha1 };
+
+    const hashes = await hashFile(fullPath);
+    await saveCacheRow(key, stat, hashes, isFresh(row, stat) ? row.zip_entries : null);
+    return hashes;
+}
+
+// 只读缓存，不计算：超过 PREHASH_LIMIT 的大文件在批量校验时用它，避免整文件读取
+async function getCachedFileHashes (fullPath) {
+    const stat = await fs.stat(fullPath);
+    const row = await getCacheRow(toCacheKey(fullPath));
+    if (isFresh(row, stat) && row.sha1) return { size: row.size, crc32: row.crc32, md5: row.md5, sha1: row.sha1 };
+    return null;
+}
+
+// zip 包内文件校验值，缓存在同一行的 zip_entries 中
+async function getZipEntryHashes (fullPath) {
+    const stat = await fs.stat(fullPath);
+    const key = toCacheKey(fullPath);
+    let row = await getCacheRow(key);
+    if (isFresh(row, stat) && row.zip_entries) {
+        try {
+            return JSON.parse(row.zip_entries);
+        } catch (e) {}
+    }
+
+    const entries = hashZipEntries(fullPath);
+    // 整文件校验值留空，等 getFileHashes 真正需要时再算
+    if (!isFresh(row, stat)) row = { crc32: null, md5: null, sha1: null };
+    await saveCacheRow(key, stat, row, JSON.stringify(entries));
+    return entries;
+}
+
+// ROM 被删除后清理缓存
+function forgetFiles (romPaths) {
+    for (let i = 0; i < romPaths.length; i += 500) {
+        const chunk = romPaths.slice(i, i + 500);
+        db.run(`DELETE FROM rom_files WHERE path IN (${chunk.map(() => '?').join(', ')})`, chunk, (err) => {
+            if (err) console.error('[Hash] 清理缓存失败:', err.message);
+        });
+    }
+}
+
+module.exports = {
+    PREHASH_LIMIT,
+    crc32Update,
+    hashFile,
+    hashZipEntries,
+    getFileHashes,
+    getCachedFileHashes,
+    getZipEntryHashes,
+    forgetFiles,
+    isZip
+};
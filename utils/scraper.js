@@ -4,6 +4,8 @@ const path = require('path');
 const axios = require('axios');
 const crypto = require('crypto');
 const config = require('../config');
+const RateLimiter = require('./rateLimiter');
+const romHash = require('./romHash');
 
 // 降低阈值到 64MB，加速大文件处理
 const MD5_THRESHOLD = 64 * 1024 * 1024;
@@ -15,14 +17,155 @@ const LARGE_FILE_EXTS = ['.iso', '.chd', '.cso', '.wbfs', '.rvz'];
 // 75: Arcade, 142: NeoGeo, 56: Naomi, 53: Atomiswave, 70: NeoGeo CD
 const ARCADE_SYSTEM_IDS = ['75', '142', '56', '53', '70'];
 
-function calculateMD5 (filePath) {
-    return new Promise((resolve, reject) => {
-        const hash = crypto.createHash('md5');
-        const stream = fs.createReadStream(filePath);
-        stream.on('data', (data) => hash.update(data));
-        stream.on('end', () => resolve(hash.digest('hex')));
-        stream.on('error', (err) => reject(err));
-    });
+// ScreenScraper 请求限流 (所有抓取线程共用)；账号限额读取成功后会被覆盖
+const ssLimiter = new RateLimiter({
+    perMinute: (config.screenScraper && config.screenScraper.maxRequestsPerMinute) || 0,
+    perDay: (config.screenScraper && config.screenScraper.maxRequestsPerDay) || 0
+});
+ssLimiter.onWait = (ms) => {
+    if (ms > 5000) console.log(`[Scraper] ⏳ 已达到请求速率上限，等待 ${Math.ceil(ms / 1000)} 秒...`);
+};
+
+// === 配额追踪 ===
+// ScreenScraper 额度相关的 HTTP 状态码：命中后暂停抓取直到 resumeAt
+const QUOTA_STATUS = {
+    429: { reason: '请求过于频繁 (超过线程数或每分钟上限)', daily: false },
+    430: { reason: '今日抓取配额已用完', daily: true },
+    431: { reason: '今日未匹配请求过多', daily: true }
+};
+const RATE_PAUSE_MS = 60 * 1000;
+
+class ScraperQuotaError extends Error {
+    constructor (code, reason, resumeAt) {
+        super(`${reason} (HTTP ${code})`);
+        this.name = 'ScraperQuotaError';
+        this.code = code;
+        this.resumeAt = resumeAt;
+    }
+}
+
+const quotaState = {
+    requestsToday: null,
+    maxRequestsPerDay: null,
+    requestsKoToday: null,
+    maxRequestsKoPerDay: null,
+    maxThreads: null,
+    updatedAt: null,
+    pausedUntil: null,
+    pauseCode: null,
+    pauseReason: null
+};
+
+// ScreenScraper 按法国时间零点重置每日配额
+function nextQuotaReset () {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: 'Europe/Paris',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(new Date());
+    const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+    const elapsed = ((get('hour') * 60 + get('minute')) * 60 + get('second')) * 1000;
+    return Date.now() + 24 * 60 * 60 * 1000 - elapsed + 60 * 1000;
+}
+
+function updateQuota (ssuser) {
+    const num = (v) => (v === undefined || v === null || v === '' ? null : parseInt(v, 10));
+    quotaState.requestsToday = num(ssuser.requeststoday);
+    quotaState.maxRequestsPerDay = num(ssuser.maxrequestsperday);
+    quotaState.requestsKoToday = num(ssuser.requestskotoday);
+    quotaState.maxRequestsKoPerDay = num(ssuser.maxrequestskoperday);
+    quotaState.maxThreads = num(ssuser.maxthreads);
+    quotaState.updatedAt = Date.now();
+}
+
+function pauseScraper (code) {
+    const info = QUOTA_STATUS[code];
+    const resumeAt = info.daily ? nextQuotaReset() : Date.now() + RATE_PAUSE_MS;
+    if (!quotaState.pausedUntil || quotaState.pausedUntil < resumeAt) {
+        quotaState.pausedUntil = resumeAt;
+        quotaState.pauseCode = code;
+        quotaState.pauseReason = info.reason;
+        console.log(`[Scraper] ⛔ ${info.reason}，暂停至 ${new Date(resumeAt).toLocaleString()}`);
+    }
+    return new ScraperQuotaError(code, info.reason, quotaState.pausedUntil);
+}
+
+function assertNotPaused () {
+    if (quotaState.pausedUntil && quotaState.pausedUntil > Date.now()) {
+        throw new ScraperQuotaError(quotaState.pauseCode, quotaState.pauseReason, quotaState.pausedUntil);
+    }
+    quotaState.pausedUntil = null;
+    quotaState.pauseCode = null;
+    quotaState.pauseReason = null;
+}
+
+function getQuotaStatus () {
+    const paused = !!quotaState.pausedUntil && quotaState.pausedUntil > Date.now();
+    return { ...quotaState, paused };
+}
+
+// 统一的 ScreenScraper API 请求：限流、记录配额字段、识别额度类错误
+async function ssApiGet (apiUrl, params) {
+    assertNotPaused();
+    await ssLimiter.acquire();
+    assertNotPaused();
+
+    try {
+        const res = await axios.get(apiUrl, { params, timeout: 30000 });
+        const ssuser = res.data && res.data.response && res.data.response.ssuser;
+        if (ssuser) {
+            updateQuota(ssuser);
+            // 本次请求仍有效，但额度已见底：提前暂停，后续请求不再白白消耗
+            if (quotaState.maxRequestsPerDay && quotaState.requestsToday >= quotaState.maxRequestsPerDay) {
+                pauseScraper(430);
+            }
+        }
+        return res;
+    } catch (e) {
+        const status = e.response && e.response.status;
+        if (QUOTA_STATUS[status]) throw pauseScraper(status);
+        throw e;
+    }
+}
+
+// 读取 ScreenScraper 账号限额 (线程数 / 每分钟 / 每天请求数)，并据此配置限流器
+// 返回建议的抓取线程数：config.screenScraper.threads 优先，但不超过账号的 maxthreads
+async function applyAccountLimits () {
+    const ssConfig = config.screenScraper || {};
+    const configured = parseInt(ssConfig.threads, 10) || 0;
+    const fallback = { threads: configured || 1, fromAccount: false, ...ssLimiter.getLimits() };
+    if (!ssConfig.devId || !ssConfig.devPassword || !ssConfig.user) return fallback;
+
+    try {
+        const res = await ssApiGet('https://api.screenscraper.fr/api2/ssuserInfos.php', {
+            devid: ssConfig.devId,
+            devpassword: ssConfig.devPassword,
+            softname: ssConfig.softname || 'RetroRomWeb',
+            ssid: ssConfig.user,
+            sspassword: ssConfig.password,
+            output: 'json'
+        });
+        const user = res.data && res.data.response && res.data.response.ssuser;
+        if (!user) return fallback;
+
+        const maxThreads = parseInt(user.maxthreads, 10) || 1;
+        // 本地配置的限额只能更严格，不能超过账号本身的上限
+        const pickLimit = (local, remote) => (local > 0 && (!remote || local < remote) ? local : remote || 0);
+        ssLimiter.setLimits({
+            perMinute: pickLimit(ssConfig.maxRequestsPerMinute, parseInt(user.maxrequestspermin, 10)),
+            perDay: pickLimit(ssConfig.maxRequestsPerDay, parseInt(user.maxrequestsperday, 10))
+        });
+        return {
+            threads: configured ? Math.min(configured, maxThreads) : maxThreads,
+            fromAccount: true,
+            ...ssLimiter.getLimits()
+        };
+    } catch (e) {
+        console.error(`[Scraper] 读取账号限额失败: ${e.message}`);
+        return fallback;
+    }
 }
 
 function getRomStem (filename) {
@@ -60,16 +203,31 @@ function cleanRomName (filename) {
 async function downloadFile (url, savePath) {
     if (!url) return;
 
-    // 👇 1. 定义临时文件路径
-    const tmpPath = savePath + '.tmp';
+    // 👇 1. 定义临时文件路径 (带随机后缀，多线程同时下载同一文件时互不干扰)
+    const tmpPath = `${savePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const isScreenScraper = /screenscraper\.fr/i.test(url);
 
     try {
-        const response = await axios({
-            url,
-            method: 'GET',
-            responseType: 'stream',
-            timeout: 30000
-        });
+        // ScreenScraper 的媒体下载同样计入账号请求数，额度暂停期间不再发起
+        if (isScreenScraper) {
+            assertNotPaused();
+            await ssLimiter.acquire();
+            assertNotPaused();
+        }
+        let response;
+        try {
+            response = await axios({
+                url,
+                method: 'GET',
+                responseType: 'stream',
+                timeout: 30000
+            });
+        } catch (e) {
+            // 与 ssApiGet 相同：429 / 430 / 431 暂停抓取队列，错误交给扫描器放回队首
+            const status = e.response && e.response.status;
+            if (isScreenScraper && QUOTA_STATUS[status]) throw pauseScraper(status);
+            throw e;
+        }
         fs.ensureDirSync(path.dirname(savePath));
 
         // 👇 2. 写入流指向 .tmp 文件
@@ -122,7 +280,7 @@ async function downloadFile (url, savePath) {
             });
         });
     } catch (e) {
-        console.error(`[Scraper] 下载失败: ${url} - ${e.message}`);
+        if (!(e instanceof ScraperQuotaError)) console.error(`[Scraper] 下载失败: ${url} - ${e.message}`);
         // 👇 7. 兜底清理
         try {
             if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
@@ -132,21 +290,39 @@ async function downloadFile (url, savePath) {
 }
 
 // 【核心修改】增加了 logger 回调参数，用于推送未命中时的搜索词到前端日志
-async function fetchGameInfo (system, filename, fullPath, explicitSystemId = null, logger = null) {
+// knownGameId：上次匹配记录的 ScreenScraper 游戏 id，存在时先按 id 直接获取，避免重新匹配落到其他游戏
+// 命中结果带 matchedBy ('id' / 'hash' / 'name' / 'search')；全部未命中且途中出现过非 404 的请求错误时抛出该错误
+async function fetchGameInfo (system, filename, fullPath, explicitSystemId = null, logger = null, knownGameId = null) {
+    const errors = [];
+    const result = await matchGame(system, filename, fullPath, explicitSystemId, logger, knownGameId, errors);
+    if (!result && errors.length) throw new Error(errors[errors.length - 1]);
+    return result;
+}
+
+async function matchGame (system, filename, fullPath, explicitSystemId, logger, knownGameId, errors) {
     const ssConfig = config.screenScraper;
     if (!ssConfig || !ssConfig.devId || !ssConfig.devPassword) return null;
 
     const systemId = explicitSystemId;
     const cleanName = cleanRomName(filename);
 
+    if (knownGameId) {
+        const known = await fetchGameById(systemId, knownGameId, filename, errors);
+        if (known) {
+            console.log(`[Scraper] ✅ 按已记录的游戏 ID 命中: ${known.name} (ID: ${knownGameId})`);
+            return { ...known, matchedBy: 'id' };
+        }
+        console.log(`[Scraper] 按已记录的游戏 ID ${knownGameId} 获取失败，重新匹配...`);
+    }
+
     // 如果未配置 ID，直接尝试全局模糊搜索
     if (!systemId) {
         console.log(`[Scraper] 目录 ${system} 未配置 Scraper ID，跳过精准匹配，仅尝试全局搜索...`);
-        const fallbackResult = await searchWithFallback(null, filename, ssConfig);
+        const fallbackResult = await searchWithFallback(null, filename, ssConfig, errors);
         if (!fallbackResult && logger) {
             logger(`❌ 未匹配到游戏，全局搜索词: "${cleanName}"`);
         }
-        return fallbackResult;
+        return fallbackResult && { ...fallbackResult, matchedBy: 'search' };
     }
 
     let romSize = 0;
@@ -175,22 +351,26 @@ async function fetchGameInfo (system, filename, fullPath, explicitSystemId = nul
         system.toLowerCase().includes('mame');
     const isShortName = cleanName.length < 4;
 
-    // === Level 1: MD5 精准匹配 ===
+    // === Level 1: 校验值 (CRC32 / MD5 / SHA1) 精准匹配 ===
     const ext = path.extname(filename).toLowerCase();
     const isLargeFormat = LARGE_FILE_EXTS.includes(ext);
 
     // 【修改点2】：如果是文件夹（!isDir 为 false），绝对不要进入 MD5 计算逻辑，从而彻底根治 EISDIR 崩溃
     if (!isDir && !isLargeFormat && romSize <= MD5_THRESHOLD) {
-        console.log(`[Scraper] SystemID: ${systemId}, 计算 MD5 进行精准匹配...`);
+        console.log(`[Scraper] SystemID: ${systemId}, 读取 ROM 校验值进行精准匹配...`);
         try {
-            const romMD5 = await calculateMD5(fullPath);
-            const result = await tryJeuInfosMD5(systemId, filename, romSize, romMD5, ssConfig);
+            // 校验值来自 rom_files 缓存，文件未变化时不再重复读取
+            const hashes = await romHash.getFileHashes(fullPath);
+            const result = await tryJeuInfosHash(systemId, filename, romSize, hashes, ssConfig, errors);
             if (result) {
-                console.log('[Scraper] ✅ MD5 精准命中!');
-                return result;
+                console.log('[Scraper] ✅ 校验值精准命中!');
+                // 一次请求同时提交 CRC32 / MD5 / SHA1，无法区分具体命中哪一个，统一记为 hash
+                return { ...result, matchedBy: 'hash' };
             }
         } catch (e) {
+            if (e instanceof ScraperQuotaError) throw e;
             console.error(`[Scraper] MD5 流程出错: ${e.message}`);
+            errors.push(e.message);
         }
     } else {
         if (isDir) {
@@ -202,10 +382,10 @@ async function fetchGameInfo (system, filename, fullPath, explicitSystemId = nul
 
     // === Level 2: 文件名精确匹配 (romnom) ===
     console.log(`[Scraper] 尝试文件名匹配 (romnom): "${romStem}" (SystemID: ${systemId})`);
-    const fileMatchResult = await tryJeuInfosFilename(systemId, romStem, ssConfig);
+    const fileMatchResult = await tryJeuInfosFilename(systemId, romStem, ssConfig, errors);
     if (fileMatchResult) {
         console.log(`[Scraper] ✅ 文件名匹配命中: ${fileMatchResult.name}`);
-        return fileMatchResult;
+        return { ...fileMatchResult, matchedBy: 'name' };
     }
 
     // Inspiration #1: 如果是街机或者短文件名，到此为止，不进行模糊搜索
@@ -222,17 +402,23 @@ async function fetchGameInfo (system, filename, fullPath, explicitSystemId = nul
 
     // === Level 3: 文本搜索 (fallback) ===
     console.log('[Scraper] 文件名匹配失败，尝试文本模糊搜索...');
-    const fallbackResult = await searchWithFallback(systemId, filename, ssConfig);
+    const fallbackResult = await searchWithFallback(systemId, filename, ssConfig, errors);
 
     // 只有所有层级都匹配失败后，才会向前端吐出实际被检索的词，提示用户修正
     if (!fallbackResult && logger) {
         logger(`❌ 未匹配到游戏，搜索词: "${cleanName}"`);
     }
 
-    return fallbackResult;
+    return fallbackResult && { ...fallbackResult, matchedBy: 'search' };
 }
 
-async function tryJeuInfosMD5 (systemId, filename, romSize, romMD5, ssConfig) {
+// 404 表示未找到 (正常的未命中)，其余状态码与网络错误记为抓取错误
+function recordError (errors, e) {
+    if (!errors || (e.response && e.response.status === 404)) return;
+    errors.push(e.response ? `HTTP ${e.response.status}` : e.message);
+}
+
+async function tryJeuInfosHash (systemId, filename, romSize, hashes, ssConfig, errors = null) {
     const apiUrl = 'https://api.screenscraper.fr/api2/jeuInfos.php';
     const params = {
         devid: ssConfig.devId,
@@ -245,19 +431,25 @@ async function tryJeuInfosMD5 (systemId, filename, romSize, romMD5, ssConfig) {
         romtype: 'rom',
         romnom: filename,
         romtaille: romSize,
-        md5: romMD5
+        crc: hashes.crc32,
+        md5: hashes.md5,
+        sha1: hashes.sha1
     };
 
     try {
-        const res = await axios.get(apiUrl, { params, timeout: 30000 });
+        const res = await ssApiGet(apiUrl, params);
         if (isValidGame(res.data)) {
             return parseGameData(res.data.response.jeu, filename);
         }
-    } catch (e) {}
+    } catch (e) {
+        // 额度类错误必须向上抛出，让队列暂停；其余 (如 404 未找到) 视为未命中
+        if (e instanceof ScraperQuotaError) throw e;
+        recordError(errors, e);
+    }
     return null;
 }
 
-async function tryJeuInfosFilename (systemId, romStem, ssConfig) {
+async function tryJeuInfosFilename (systemId, romStem, ssConfig, errors = null) {
     const apiUrl = 'https://api.screenscraper.fr/api2/jeuInfos.php';
     const params = {
         devid: ssConfig.devId,
@@ -271,11 +463,14 @@ async function tryJeuInfosFilename (systemId, romStem, ssConfig) {
     };
 
     try {
-        const res = await axios.get(apiUrl, { params, timeout: 30000 });
+        const res = await ssApiGet(apiUrl, params);
         if (isValidGame(res.data)) {
             return parseGameData(res.data.response.jeu, romStem);
         }
-    } catch (e) {}
+    } catch (e) {
+        if (e instanceof ScraperQuotaError) throw e;
+        recordError(errors, e);
+    }
     return null;
 }
 
@@ -292,11 +487,11 @@ function isValidGame (data) {
     return false;
 }
 
-async function searchWithFallback (systemId, filename, ssConfig) {
+async function searchWithFallback (systemId, filename, ssConfig, errors = null) {
     let result = null;
 
     if (systemId) {
-        result = await searchByText(systemId, filename, ssConfig);
+        result = await searchByText(systemId, filename, ssConfig, errors);
         if (result) return result;
 
         console.log(`[Scraper] 指定系统 (ID:${systemId}) 内未找到 "${filename}"，停止搜索。`);
@@ -304,7 +499,7 @@ async function searchWithFallback (systemId, filename, ssConfig) {
     }
 
     console.log('[Scraper] 未指定系统 ID，执行全局搜索...');
-    result = await searchByText(null, filename, ssConfig);
+    result = await searchByText(null, filename, ssConfig, errors);
     if (result) {
         console.log('[Scraper] ✅ 全局搜索命中!');
         return result;
@@ -312,7 +507,7 @@ async function searchWithFallback (systemId, filename, ssConfig) {
     return null;
 }
 
-async function searchByText (systemId, filename, ssConfig) {
+async function searchByText (systemId, filename, ssConfig, errors = null) {
     const cleanName = cleanRomName(filename);
     const apiUrl = 'https://api.screenscraper.fr/api2/jeuRecherche.php';
 
@@ -330,7 +525,7 @@ async function searchByText (systemId, filename, ssConfig) {
 
     try {
         console.log(`[Scraper] 发起文件名搜索: "${cleanName}" (SystemID: ${systemId || 'All'})`);
-        const res = await axios.get(apiUrl, { params, timeout: 30000 });
+        const res = await ssApiGet(apiUrl, params);
 
         if (res.data && res.data.response && res.data.response.jeux && res.data.response.jeux.length > 0) {
             // 这里我们取第一个不是 ZZZ(NOTGAME) 的结果
@@ -345,7 +540,110 @@ async function searchByText (systemId, filename, ssConfig) {
             }
         }
     } catch (e) {
+        if (e instanceof ScraperQuotaError) throw e;
         console.error(`[Scraper] 搜索失败: ${e.message}`);
+        recordError(errors, e);
+    }
+    return null;
+}
+
+// === 手动选择匹配：候选列表 / 按 id 抓取 ===
+// 候选封面的原始地址带有账号参数，不能直接给前端；按游戏 id 暂存在内存中，由服务端代为拉取缩略图
+const THUMB_CACHE_LIMIT = 500;
+const thumbCache = new Map();
+
+function ssAuthParams (ssConfig) {
+    return {
+        devid: ssConfig.devId,
+        devpassword: ssConfig.devPassword,
+        softname: ssConfig.softname || 'RetroRomWeb',
+        ssid: ssConfig.user,
+        sspassword: ssConfig.password,
+        output: 'json'
+    };
+}
+
+function isConfigured () {
+    const ssConfig = config.screenScraper;
+    return !!(ssConfig && ssConfig.devId && ssConfig.devPassword);
+}
+
+function pickMediaUrl (medias, types) {
+    if (!Array.isArray(medias)) return null;
+    const regions = ['en', 'us', 'eu', 'wor', 'jp', 'ss'];
+    for (const type of types) {
+        const list = medias.filter((m) => m.type && m.type.toLowerCase() === type);
+        if (!list.length) continue;
+        const best = regions.map((r) => list.find((m) => m.region && m.region.toLowerCase() === r)).find(Boolean);
+        return (best || list[0]).url;
+    }
+    return null;
+}
+
+function toCandidate (game) {
+    const thumbUrl = pickMediaUrl(game.medias, ['box-2d', 'box-3d', 'ss']);
+    if (thumbUrl) {
+        thumbCache.delete(String(game.id));
+        thumbCache.set(String(game.id), thumbUrl);
+        if (thumbCache.size > THUMB_CACHE_LIMIT) thumbCache.delete(thumbCache.keys().next().value);
+    }
+
+    // 取各地区发行日期中最早的年份
+    const years = (Array.isArray(game.dates) ? game.dates : game.dates ? [game.dates] : [])
+        .map((d) => parseInt(String(d.text || '').substring(0, 4), 10))
+        .filter((y) => y > 1900);
+
+    return {
+        id: String(game.id),
+        name: decodeHtmlEntity(getLocalizedText(game.noms)),
+        system: game.systeme ? game.systeme.text || '' : '',
+        systemId: game.systeme ? String(game.systeme.id || '') : '',
+        year: years.length ? Math.min(...years) : null,
+        publisher: decodeHtmlEntity(game.editeur ? game.editeur.text : ''),
+        hasThumbnail: !!thumbUrl
+    };
+}
+
+/**
+ * 按关键词列出 jeuRecherche 返回的全部候选 (已过滤 ZZZ(notgame))，不做任何自动选择
+ * systemId 为空时搜索全部平台；额度错误与网络错误原样抛出，由调用方返回给前端
+ */
+async function searchCandidates (systemId, query) {
+    if (!isConfigured()) return [];
+    const params = { ...ssAuthParams(config.screenScraper), recherche: query };
+    if (systemId) params.systemeid = systemId;
+
+    const res = await ssApiGet('https://api.screenscraper.fr/api2/jeuRecherche.php', params);
+    const jeux = (res.data && res.data.response && res.data.response.jeux) || [];
+    return jeux
+        .filter((g) => {
+            const n = g && g.id && getLocalizedText(g.noms);
+            return n && !n.toUpperCase().startsWith('ZZZ(NOTGAME)');
+        })
+        .map(toCandidate);
+}
+
+// 候选缩略图：返回 axios 流式响应，未搜索过 (缓存中没有) 的 id 返回 null
+async function fetchCandidateThumbnail (gameId) {
+    const url = thumbCache.get(String(gameId));
+    if (!url) return null;
+    await ssLimiter.acquire();
+    return axios.get(url, { params: { maxwidth: 240 }, responseType: 'stream', timeout: 30000 });
+}
+
+// 按 ScreenScraper 游戏 id 直接获取资料 (jeuInfos gameid)，未找到返回 null
+async function fetchGameById (systemId, gameId, filename, errors = null) {
+    if (!isConfigured()) return null;
+    const params = { ...ssAuthParams(config.screenScraper), gameid: gameId };
+    if (systemId) params.systemeid = systemId;
+
+    try {
+        const res = await ssApiGet('https://api.screenscraper.fr/api2/jeuInfos.php', params);
+        if (isValidGame(res.data)) return parseGameData(res.data.response.jeu, filename);
+    } catch (e) {
+        if (e instanceof ScraperQuotaError) throw e;
+        console.error(`[Scraper] 按 ID 获取失败 (${gameId}): ${e.message}`);
+        recordError(errors, e);
     }
     return null;
 }
@@ -429,6 +727,7 @@ function parseGameData (gameData, originalFilename) {
     }
 
     return {
+        ssGameId: gameData.id ? String(gameData.id) : null,
         name,
         desc,
         developer,
@@ -447,5 +746,13 @@ function parseGameData (gameData, originalFilename) {
 
 module.exports = {
     fetchGameInfo,
-    downloadFile
+    fetchGameById,
+    searchCandidates,
+    fetchCandidateThumbnail,
+    cleanRomName,
+    isConfigured,
+    downloadFile,
+    applyAccountLimits,
+    getQuotaStatus,
+    ScraperQuotaError
 };
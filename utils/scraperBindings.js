@@ -0,0 +1,49 @@
+/**
+ * scraperBindings.js
+ * ROM 与 ScreenScraper 游戏 id 的手动绑定 (scraper_bindings 表)，即前端的“固定 (pin)”
+ * * 说明：
+ * 1. 以 system + filename 为键，独立于 games 表，游戏记录在同步时被删除重建也不会丢失。
+ * 2. 存在绑定时，providers.fetchGameInfo 直接按 id 调用 jeuInfos，不再走校验值 / 文件名 / 搜索的匹配流程。
+ * 3. 未固定的 games.ss_game_id 只是上次自动匹配的结果：按 id 获取失败时会重新匹配并被替换。
+ */
+const db = require('../db/database');
+
+function getBinding (system, filename) {
+    return new Promise((resolve) => {
+        db.get(
+            'SELECT * FROM scraper_bindings WHERE system = ? AND filename = ?',
+            [system, filename],
+            (err, row) => {
+                if (err) console.error('[Bindings] 查询绑定失败:', err.message);
+                resolve(row || null);
+            }
+        );
+    });
+}
+
+function setBinding (system, filename, gameId, gameName = null) {
+    return new Promise((resolve, reject) => {
+        db.run(
+            `INSERT INTO scraper_bindings (system, filename, game_id, game_name) VALUES (?, ?, ?, ?)
+             ON CONFLICT(system, filename) DO UPDATE SET game_id = excluded.game_id, game_name = excluded.game_name,
+             created_at = CURRENT_TIMESTAMP`,
+            [system, filename, String(gameId), gameName],
+            (err) => (err ? reject(err) : resolve())
+        );
+    });
+}
+
+function removeBinding (system, filename) {
+    return new Promise((resolve, reject) => {
+        db.run('DELETE FROM scraper_bindings WHERE system = ? AND filename = ?', [system, filename], function (err) {
+            if (err) return reject(err);
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+module.exports = {
+    getBinding,
+    setBinding,
+    removeBinding
+};